@@ -49,13 +49,305 @@ const _VERIFY_A = 0x1F4; // 500 in hex
 const _VERIFY_B = 500;
 const _VERIFY_C = 250 * 2;
 
+// Estimated min-entropy required before seed generation (bits)
+const REQUIRED_ENTROPY_BITS = 128;
+
+// Upper bound on the credit a single event can earn (bits)
+const MAX_BITS_PER_EVENT = 8;
+
+// Online estimator tuning: timing histogram window and warm-up
+const ESTIMATOR_WINDOW = 64;
+const ESTIMATOR_WARMUP = 8;
+
+// Timer calibration: busy-read budget at construction (ms), ticks to observe,
+// read cap (for a frozen Date.now()) and the finest resolution credited (1 µs)
+const TIMER_CALIBRATION_MS = 5;
+const TIMER_CALIBRATION_TICKS = 8;
+const TIMER_CALIBRATION_MAX_READS = 100000;
+const TIMER_MIN_RESOLUTION_MS = 0.001;
+
+// Auxiliary timer-jitter streams (see _startJitterStreams): MessageChannel
+// round trips, jitter worker ping-pong and CPU-jitter batches timed in that
+// worker. Each burst of work doubles until it lasts JITTER_MIN_SAMPLE_MS, and
+// each stream is credited on its own, at most JITTER_MAX_BITS per sample.
+// Jitter needs no user input, so the streams together hold at most
+// JITTER_CREDIT_CAP_BITS; with a seed file's credit that is still below
+// REQUIRED_ENTROPY_BITS.
+const JITTER_STREAMS = ['messagechannel', 'worker-ping', 'cpu-jitter'];
+const JITTER_MIN_SAMPLE_MS = 0.01;
+const JITTER_MAX_BITS = 0.5;
+const JITTER_CREDIT_CAP_BITS = 32;
+const JITTER_PROBE_INTERVAL_MS = 50;
+const JITTER_MAX_BURST = 64;
+const JITTER_BUFFER_SIZE = 1000;
+const CPU_JITTER_INTERVAL_MS = 100;
+const CPU_JITTER_BATCH = 32;
+const CPU_JITTER_BUDGET_MS = 5;
+const CPU_JITTER_MEMORY = 65536;
+const CPU_JITTER_MAX_ROUNDS = 4096;
+
+// Seed file: AES-GCM encrypted carry-over seed persisted across sessions in
+// IndexedDB (browser) or a file (Node.js). A loaded seed is credited
+// SEED_FILE_CREDIT_BITS, below REQUIRED_ENTROPY_BITS, so it never satisfies
+// the requirement alone.
+const SEED_FILE_SOURCE = 'seed-file';
+const SEED_FILE_LABEL = 'ntrpRNG seed file v1';
+const SEED_FILE_CREDIT_BITS = 64;
+const SEED_FILE_DB = 'ntrpRNG';
+const SEED_FILE_STORE = 'seed-file';
+const SEED_FILE_DEFAULT_NAME = '.ntrprng-seed';
+
+// Fortuna accumulator: pool count, minimum P0 size before reseed (bytes),
+// minimum interval between reseeds (ms) and pending values before folding
+const FORTUNA_POOLS = 32;
+const FORTUNA_MIN_POOL_SIZE = 64;
+const FORTUNA_RESEED_INTERVAL = 100;
+const FORTUNA_FOLD_THRESHOLD = 4096;
+
+// DRBG (SP 800-90A HMAC-SHA-512 or AES-256 CTR): default reseed interval (requests),
+// SP 800-90A maximum reseed interval and maximum bytes per request (2^19 bits)
+const DRBG_RESEED_INTERVAL = 10000;
+const DRBG_MAX_RESEED_INTERVAL = Math.pow(2, 48);
+const DRBG_MAX_REQUEST_BYTES = 65536;
+
+// CTR-DRBG (AES-256, no derivation function): seedlen = keylen + blocklen
+const CTR_DRBG_SEED_LENGTH = 48;
+
+// Character classes for generatePassword() (symbols: printable ASCII punctuation)
+const PASSWORD_CLASSES = {
+  lower: 'abcdefghijklmnopqrstuvwxyz',
+  upper: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  digit: '0123456789',
+  symbol: '!"#$%&\'()*+,-./:;<=>?@[\\]^_`{|}~'
+};
+
+// HKDF-SHA-512 key derivation: domain separation label prefixed to every info,
+// and the maximum output (255 × HashLen) in bits
+const HKDF_LABEL = 'ntrpRNG HKDF v1';
+const HKDF_MAX_BITS = 255 * 64 * 8;
+
+// Key types deriveKey() can produce, with default parameters and usages
+const DERIVED_KEY_TYPES = {
+  'AES-GCM': { params: { length: 256 }, usages: ['encrypt', 'decrypt'] },
+  'AES-CTR': { params: { length: 256 }, usages: ['encrypt', 'decrypt'] },
+  'AES-CBC': { params: { length: 256 }, usages: ['encrypt', 'decrypt'] },
+  'AES-KW': { params: { length: 256 }, usages: ['wrapKey', 'unwrapKey'] },
+  'HMAC': { params: { hash: 'SHA-256' }, usages: ['sign', 'verify'] },
+  'Ed25519': { oid: 0x70, usages: ['sign'], publicUsages: ['verify'] },
+  'X25519': { oid: 0x6e, usages: ['deriveKey', 'deriveBits'], publicUsages: [] }
+};
+
+// Seed pipeline versions (Path A stretching stage): 'v1' awaits one digest per
+// iteration, 'v2' runs PBKDF2-HMAC-SHA-256/-SHA-512 natively via deriveBits
+const SEED_PIPELINES = ['v1', 'v2'];
+const PIPELINE_V2_LABEL = 'ntrpRNG pipeline v2';
+
+// Instance methods shipped to the seed worker (see _seedWorkerSource); they
+// must reference no module state other than PIPELINE_V2_LABEL, and no instance
+// state other than iterations, pipeline, crypto and scheduler.setTimeout
+const WORKER_PIPELINE_METHODS = [
+  '_derivePipelineSeed', '_combineDigests', '_ratchetPoolState', '_stretch',
+  '_iterativeHash', '_xorArrays', '_truncate512', '_concatBytes',
+  '_reportProgress', '_throwIfAborted', '_abortReason'
+];
+const WORKER_STARTUP_TIMEOUT_MS = 5000;
+
+// Dependencies that only test mode may inject (reproducible seeds), and the
+// timer functions an injected scheduler must provide
+const TEST_MODE_INJECTIONS = ['crypto', 'clock', 'scheduler'];
+const SCHEDULER_METHODS = ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval'];
+
+// Power-on self-test known answers: FIPS 180-2 SHA-256/SHA-512 vectors, and
+// seeds of both pipelines at SELF_TEST_ITERATIONS over fixed pools (pool
+// i * 1.5 + 0.25 for 64 values, timer i / 8 for 32), salt 0x00..0x1f and
+// Path B bytes 0x20..0x5f, cross-checked against Node's crypto module
+const SELF_TEST_ITERATIONS = 128;
+const SELF_TEST_VECTORS = {
+  sha256: [
+    ['abc', 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'],
+    ['abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq',
+     '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1']
+  ],
+  sha512: [
+    ['abc', 'ddaf35a193617abacc417349ae20413112e6fa4e89a97ea20a9eeee64b55d39a' +
+            '2192992a274fc1a836ba3c23a3feebbd454d4423643ce80e2a9ac94fa54ca49f'],
+    ['abcdefghbcdefghicdefghijdefghijkefghijklfghijklmghijklmnhijklmnoijklmnopjklmnopqklmnopqrlmnopqrsmnopqrstnopqrstu',
+     '8e959b75dae313da8cf4f72814fc143f8f7779c6eb9f7fa17299aeadb6889018' +
+     '501d289e4900f7e4331b99dec4b5433ac7d329eeb6dd26545e96e55b874be909']
+  ],
+  pipeline: {
+    v1: 'c11c6a031e0209e4eb0a61a79fa9e4baa193ae165e05c0270e5a9cd1bd2a1543' +
+        '2043b87ea3be9075d884721a44ffa79b6395f20a96a5456132670154a861b460',
+    v2: 'b474029e5c61f4b18936479ebf127aeabbb966554413390f392d72b72958e396' +
+        'f7dbd43c9519944880891d716579174a0e002dd5746bf78533b566c6c76962a7'
+  },
+  // _serializeFloats([1, -2.5, 0.1]) and _xorArrays([0x0f, 0xf0, 0xaa], [0xff, 0x0f])
+  serializeFloats: '3ff0000000000000c0040000000000003fb999999999999a',
+  xorArrays: 'f0ff'
+};
+
+// getRandomValues() sanity check: blocks drawn per self-test, none of which
+// may be a single repeated byte or equal to another
+const SELF_TEST_RANDOM_BLOCKS = 4;
+const SELF_TEST_RANDOM_BLOCK_SIZE = 32;
+
+// Lifecycle events delivered through on()/once()/off()
+const EVENT_TYPES = [
+  'progress', 'ready', 'source-added', 'collection-start', 'collection-stop',
+  'seed-generated', 'entropy-cleared', 'health-failure'
+];
+const PROGRESS_EVENT_INTERVAL_MS = 100;
+
+// Built-in DOM entropy sources (name → counter group, weight, estimator, event target,
+// values per sample group; each group starts with the handler's timestamp)
+const BUILTIN_SOURCES = [
+  { name: 'mousemove', group: 'mouse', weight: 1, estimator: 'pointer', target: 'document', stride: 7 },
+  { name: 'mousedown', group: 'mouse', weight: 2, estimator: 'pointer', target: 'document', stride: 5 },
+  { name: 'keydown', group: 'keyboard', weight: 3, estimator: 'key', target: 'document', stride: 4 },
+  { name: 'touchstart', group: 'touch', weight: 2, estimator: 'pointer', target: 'document', stride: 6 },
+  { name: 'touchmove', group: 'touch', weight: 1, estimator: 'pointer', target: 'document', stride: 3 },
+  { name: 'scroll', group: 'scroll', weight: 1, estimator: 'scroll', target: 'window', stride: 5 },
+  { name: 'devicemotion', group: 'other', weight: 2, estimator: 'motion', target: 'window', stride: 7 }
+];
+
+// SP 800-90B §4.4 continuous health tests (false-positive rate α = 2^-20).
+// Cutoffs for the claimed min-entropy H per sample: event sources 1 bit,
+// timer deltas 0.5 bit. Timer deltas are only tested at 'full' timing credit:
+// a coarse or frozen clock repeats values legitimately and earns no credit.
+// RCT: C = 1 + ⌈20 / H⌉. APT (W = 512): C = 1 + CRITBINOM(512, 2^-H, 1 - 2^-20), Table 2.
+const HEALTH_CUTOFFS = {
+  event: { h: 1, rct: 21, apt: 311 },
+  timer: { h: 0.5, rct: 41, apt: 410 }
+};
+const APT_WINDOW = 512;
+// Built-in groups whose health samples carry the interval since the previous
+// sample: a click or key repeated in place is ordinary human input
+const HEALTH_TIMED_GROUPS = ['mouse', 'keyboard', 'touch'];
+const TIMER_SOURCE = 'timer';
+
+// Synthetic input screening of DOM events (see _screenEvent). Untrusted events
+// are dropped; bot-like patterns are pooled but credited zero weight:
+// - regularTiming: intervals equal to within BOT_TIMING_TOLERANCE_MS, run of BOT_REGULAR_RUN
+// - linearPath: BOT_LINEAR_RUN steps on a straight line (±1 px) at constant speed
+// - impossibleVelocity: pointer faster than BOT_MAX_SPEED px/ms
+// - repeatedKey: BOT_KEY_RUN consecutive presses of the same keyCode
+const BOT_PATTERNS = ['untrusted', 'regularTiming', 'linearPath', 'impossibleVelocity', 'repeatedKey'];
+const BOT_TIMING_TOLERANCE_MS = 0.001;
+const BOT_REGULAR_RUN = 20;
+const BOT_LINEAR_RUN = 12;
+const BOT_MAX_SPEED = 50;
+const BOT_KEY_RUN = 8;
+
+// Counter groups always present in eventCount
+const BASE_EVENT_GROUPS = ['mouse', 'keyboard', 'touch', 'scroll', 'other'];
+
+// waitForEntropy() timeout policies (a prompt function may also be given)
+const WAIT_TIMEOUT_POLICIES = ['reject', 'degraded'];
+
+/**
+ * Rejection of waitForEntropy() when the timeout elapses before the
+ * entropy requirements are met
+ */
+class EntropyTimeoutError extends Error {
+  /**
+   * @param {Object} stats - getStats() at the time of the timeout
+   * @param {number} waitedMs - Time spent waiting (ms)
+   */
+  constructor(stats, waitedMs) {
+    super(
+      `Timed out after ${Math.round(waitedMs)}ms waiting for entropy. ` +
+      `Weighted events: ${stats.totalEvents}/500, ` +
+      `Estimated bits: ${stats.entropyBits.toFixed(1)}/${REQUIRED_ENTROPY_BITS}`
+    );
+    this.name = 'EntropyTimeoutError';
+    this.stats = stats;
+    this.waitedMs = waitedMs;
+  }
+}
+
+/**
+ * Rejection of generateSeed() while an enabled source is quarantined by a
+ * failed continuous health test
+ */
+class EntropyHealthError extends Error {
+  /**
+   * @param {Array<Object>} failures - { source, test, count, cutoff } per quarantined source
+   */
+  constructor(failures) {
+    super(
+      'Entropy source health test failed: ' +
+      failures.map(f => `${f.source} (${f.test.toUpperCase()} ${f.count}/${f.cutoff})`).join(', ') +
+      '. Disable the source, call resetHealth() or clearEntropy() to continue.'
+    );
+    this.name = 'EntropyHealthError';
+    this.failures = failures;
+  }
+}
+
+/**
+ * Rejection of generateSeed() after the power-on or an on-demand
+ * self-test failed
+ */
+class SelfTestError extends Error {
+  /**
+   * @param {Object} result - selfTest() result ({ passed, checks, failures, timestamp })
+   */
+  constructor(result) {
+    super(
+      `Self-test failed: ${result.failures.join(', ')}. ` +
+      'Seed generation is disabled until selfTest() passes.'
+    );
+    this.name = 'SelfTestError';
+    this.failures = result.failures;
+    this.result = result;
+  }
+}
+
 class ntrpRNG {
   /**
    * Create a new seed generator instance
    * @param {Object} options - Configuration options
    * @param {number} options.iterations - Number of hash iterations (default: 5000)
+   * @param {string} options.pipeline - Seed pipeline version: 'v1' (sequential digests,
+   *                                    default) or 'v2' (native PBKDF2 stretching)
+   * @param {boolean} options.worker - Run the seed hashing pipeline in a Web Worker
+   *                                  (browser) or worker_threads Worker (Node.js),
+   *                                  falling back to in-thread execution (default: false)
    * @param {number} options.saltSize - Salt size in bytes (default: 32)
    * @param {boolean} options.autoCollect - Automatically start entropy collection (default: true)
+   * @param {boolean} options.headless - Skip DOM listeners and collect only timer jitter
+   *                                     and injected events (default: auto-detected)
+   * @param {Array<string>} options.disabledSources - Names of built-in sources to disable
+   * @param {boolean} options.botDetection - Drop untrusted DOM events and credit bot-like
+   *                                         input zero weight (default: true)
+   * @param {Array<string>} options.jitterStreams - Auxiliary timer-jitter streams:
+   *                                               'messagechannel', 'worker-ping',
+   *                                               'cpu-jitter' (default: all)
+   * @param {boolean} options.reuseEntropy - TESTING ONLY: do not consume the pool on
+   *                                         seed generation (default: false)
+   * @param {string} options.accumulator - 'pool' (single pool, default) or 'fortuna'
+   *                                       (32 round-robin pools with doubling reseed schedule)
+   * @param {number} options.reseedInterval - DRBG generate requests between mandatory
+   *                                          reseeds (default: 10000)
+   * @param {string} options.personalization - DRBG personalization string (default: '')
+   * @param {string} options.drbg - DRBG mechanism: 'hmac' (HMAC-SHA-512, default) or
+   *                                'ctr' (AES-256 CTR via Web Crypto)
+   * @param {boolean} options.predictionResistance - Reseed from a fresh seed before
+   *                                                 every DRBG request (default: false)
+   * @param {boolean|string|Object} options.seedFile - Persist an encrypted carry-over
+   *                                  seed: true (default location), a location (IndexedDB
+   *                                  key or file path) or { location, key } with a 32-byte
+   *                                  AES key (default: false)
+   * @param {boolean} options.testMode - TESTING ONLY: allow injecting crypto, clock and
+   *                                     scheduler for reproducible seeds (default: false)
+   * @param {Object} options.crypto - Web Crypto implementation ({ getRandomValues, subtle });
+   *                                  requires testMode
+   * @param {Function} options.clock - Millisecond clock replacing performance.now() and
+   *                                   Date.now(); requires testMode
+   * @param {Object} options.scheduler - { setTimeout, clearTimeout, setInterval,
+   *                                     clearInterval[, setImmediate,
+   *                                     requestAnimationFrame, cancelAnimationFrame] };
+   *                                     requires testMode
    */
   constructor(options = {}) {
     // Integrity check #1 - Constructor
@@ -65,8 +357,33 @@ class ntrpRNG {
       throw new Error('Security integrity check failed: minimum events constant tampered');
     }
     
+    // Event listeners by type (registered before the built-in sources)
+    this._listeners = {};
+    this._progressTimer = null;
+    this._lastProgressEvent = -Infinity;
+    this._wasReady = false;
+    this._entropyWaiters = [];
+    
+    // Injected dependencies are refused outside test mode
+    this.testMode = options.testMode === true;
+    for (const name of TEST_MODE_INJECTIONS) {
+      if (options[name] !== undefined && !this.testMode) {
+        throw new Error(`options.${name} can only be injected with testMode: true`);
+      }
+    }
+    if (this.testMode) {
+      console.warn('ntrpRNG: TEST MODE enabled. Seeds are reproducible and must never be used as real keys.');
+    }
+    this.crypto = this._resolveCrypto(options.crypto);
+    this.clock = this._resolveClock(options.clock);
+    this.scheduler = this._resolveScheduler(options.scheduler);
+    
     this.iterations = options.iterations || 5000;
     this.saltSize = options.saltSize || 32;
+    this.pipeline = options.pipeline || 'v1';
+    if (!SEED_PIPELINES.includes(this.pipeline)) {
+      throw new Error(`Unknown pipeline: ${this.pipeline} (expected ${SEED_PIPELINES.map(v => `'${v}'`).join(' or ')})`);
+    }
     this.autoCollect = options.autoCollect !== false;
     this.minEvents = 500; // Hardcoded, ignore options.minEvents
     
@@ -75,20 +392,107 @@ class ntrpRNG {
       console.warn('ntrpRNG: minEvents override ignored. Hardcoded to 500 for security.');
     }
     
+    // Entropy consumption (reuse is for testing only)
+    this.reuseEntropy = options.reuseEntropy === true;
+    if (this.reuseEntropy) {
+      console.warn('ntrpRNG: reuseEntropy enabled. Seeds will reuse the same behavioral input (testing only).');
+    }
+    
+    // Entropy accumulator pipeline
+    this.accumulator = options.accumulator || 'pool';
+    if (this.accumulator !== 'pool' && this.accumulator !== 'fortuna') {
+      throw new Error(`Unknown accumulator: ${this.accumulator} (expected 'pool' or 'fortuna')`);
+    }
+    this.fortuna = this.accumulator === 'fortuna' ? this._createFortunaState() : null;
+    
+    // DRBG byte stream (instantiated lazily from generateSeed())
+    this.reseedInterval = options.reseedInterval || DRBG_RESEED_INTERVAL;
+    if (!Number.isInteger(this.reseedInterval) || this.reseedInterval < 1 ||
+        this.reseedInterval > DRBG_MAX_RESEED_INTERVAL) {
+      throw new Error(`reseedInterval must be an integer between 1 and 2^48`);
+    }
+    this.personalization = options.personalization || '';
+    this.drbgMechanism = options.drbg || 'hmac';
+    if (this.drbgMechanism !== 'hmac' && this.drbgMechanism !== 'ctr') {
+      throw new Error(`Unknown DRBG mechanism: ${this.drbgMechanism} (expected 'hmac' or 'ctr')`);
+    }
+    this.predictionResistance = options.predictionResistance === true;
+    this.drbg = null;
+    this._drbgQueue = Promise.resolve();
+    
+    // Environment detection (browser, worker, node, headless)
+    this.environment = this._detectEnvironment();
+    this.headless = options.headless !== undefined
+      ? Boolean(options.headless)
+      : this.environment !== 'browser';
+    
     // Pre-allocate arrays for better performance
     this.entropyPool = [];
     this.timerDeltas = [];
-    this.lastTimestamp = performance.now();
+    this.lastTimestamp = this._now();
     this.isCollecting = false;
     
+    // Effective timer resolution (ms, null until the clock is seen to tick)
+    this.timerResolution = this._calibrateTimer();
+    this.crossOriginIsolated = typeof crossOriginIsolated === 'boolean' ? crossOriginIsolated : null;
+    
+    // Ratcheted pool state carried between seeds (null until first seed)
+    this.poolState = null;
+    this.seedsGenerated = 0;
+    this.degradedSeeds = 0;
+    this._seedQueue = Promise.resolve();
+    
+    // Off-thread seed pipeline (worker started on the first seed)
+    this.useWorker = options.worker === true;
+    if (this.useWorker && options.crypto !== undefined) {
+      throw new Error('worker cannot be combined with an injected crypto (the worker uses its own)');
+    }
+    this._seedWorker = null;
+    this._workerFailed = false;
+    
+    // Auxiliary timer-jitter streams (started with collection)
+    // (none by default in test mode: their timings cannot be replayed)
+    this.jitterStreams = options.jitterStreams !== undefined
+      ? [...options.jitterStreams]
+      : this.testMode ? [] : JITTER_STREAMS.slice();
+    for (const name of this.jitterStreams) {
+      if (!JITTER_STREAMS.includes(name)) {
+        throw new Error(`Unknown jitter stream: ${name} (expected ${JITTER_STREAMS.map(v => `'${v}'`).join(', ')})`);
+      }
+    }
+    this.jitterDeltas = this._createJitterBuffers();
+    this._jitter = null;
+    this._jitterWorkerFailed = false;
+    
+    // Encrypted carry-over seed (loaded once the sources are registered)
+    if (this.testMode && options.seedFile) {
+      throw new Error('seedFile cannot be used in testMode');
+    }
+    this.seedFile = this._resolveSeedFile(options.seedFile);
+    this._seedFileKey = null;
+    this._seedFileDb = null;
+    this._seedFileLoad = null;
+    
+    // Registered entropy sources
+    this.sources = {};
+    
     // Event counters with weights
-    this.eventCount = {
-      mouse: 0,
-      keyboard: 0,
-      touch: 0,
-      scroll: 0,
-      other: 0
-    };
+    this.eventCount = this._createEventCount();
+    
+    // Estimated min-entropy per source (bits) and estimator state
+    this.entropyBits = {};
+    this.estimatorState = {};
+    
+    // Weighted events credited per source (removed on quarantine)
+    this.sourceEvents = {};
+    
+    // Continuous health test state per source (and the timer)
+    this.health = {};
+    
+    // Synthetic input screening of DOM events and rejection counters
+    this.botDetection = options.botDetection !== false;
+    this.botState = {};
+    this.rejectedEvents = this._createRejectedCounts();
     
     // Event handlers
     this.handlers = {
@@ -105,6 +509,20 @@ class ntrpRNG {
     this.timerId1 = null;
     this.timerId2 = null;
     this.rafId = null;
+    this.schedulerId = null;
+    
+    this._registerBuiltinSources();
+    (options.disabledSources || []).forEach(name => this.disableSource(name));
+    
+    // Power-on self-test (generation waits for it; a failure refuses seeds)
+    this.selfTestResult = null;
+    this._selfTestRun = null;
+    this.selfTest();
+    
+    // The seed file is not touched unless the self-test passes
+    if (this.seedFile) {
+      this._seedFileLoad = this._selfTestRun.then(result => result.passed && this._loadSeedFile());
+    }
     
     if (this.autoCollect) {
       this.startCollecting();
@@ -112,548 +530,5970 @@ class ntrpRNG {
   }
   
   /**
-   * Start collecting entropy from user events
+   * Detect the runtime environment
+   * @private
+   * @returns {string} 'browser', 'worker', 'node' or 'headless'
    */
-  startCollecting() {
-    if (this.isCollecting) return;
-    this.isCollecting = true;
-    
-    // Register event listeners
-    document.addEventListener('mousemove', this.handlers.mousemove, { passive: true });
-    document.addEventListener('mousedown', this.handlers.mousedown, { passive: true });
-    document.addEventListener('keydown', this.handlers.keydown, { passive: true });
-    document.addEventListener('touchstart', this.handlers.touchstart, { passive: true });
-    document.addEventListener('touchmove', this.handlers.touchmove, { passive: true });
-    window.addEventListener('scroll', this.handlers.scroll, { passive: true });
-    
-    // DeviceMotion only if available
-    if (window.DeviceMotionEvent) {
-      window.addEventListener('devicemotion', this.handlers.devicemotion, { passive: true });
+  _detectEnvironment() {
+    if (typeof window !== 'undefined' && typeof document !== 'undefined') {
+      return 'browser';
     }
-    
-    // Asynchronous timers for micro-jitter
-    this._startTimerJitter();
+    if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+      return 'node';
+    }
+    if (typeof self !== 'undefined' && typeof importScripts === 'function') {
+      return 'worker';
+    }
+    return 'headless';
   }
   
   /**
-   * Stop entropy collection
+   * High-resolution timestamp in milliseconds
+   * @private
+   * @returns {number} Current time
    */
-  stopCollecting() {
-    if (!this.isCollecting) return;
-    this.isCollecting = false;
-    
-    document.removeEventListener('mousemove', this.handlers.mousemove);
-    document.removeEventListener('mousedown', this.handlers.mousedown);
-    document.removeEventListener('keydown', this.handlers.keydown);
-    document.removeEventListener('touchstart', this.handlers.touchstart);
-    document.removeEventListener('touchmove', this.handlers.touchmove);
-    window.removeEventListener('scroll', this.handlers.scroll);
-    
-    if (window.DeviceMotionEvent) {
-      window.removeEventListener('devicemotion', this.handlers.devicemotion);
+  _now() {
+    if (this.clock) {
+      return this.clock();
     }
-    
-    this._stopTimerJitter();
+    if (typeof performance !== 'undefined' && typeof performance.now === 'function') {
+      return performance.now();
+    }
+    return Date.now();
   }
   
   /**
-   * Start asynchronous timers to collect micro-jitter
+   * Wall-clock timestamp in milliseconds (the injected clock in test mode)
    * @private
+   * @returns {number} Current time
    */
-  _startTimerJitter() {
-    // RequestAnimationFrame for high-frequency jitter
-    const rafCollect = () => {
-      if (!this.isCollecting) return;
-      this._collectTimerDelta();
-      this.rafId = requestAnimationFrame(rafCollect);
-    };
-    this.rafId = requestAnimationFrame(rafCollect);
-    
-    // Interval for medium-frequency jitter
-    this.timerId1 = setInterval(() => {
-      if (this.isCollecting) {
-        this._collectTimerDelta();
-      }
-    }, 100);
-    
-    // Recursive timeout for variable jitter
-    const recursiveTimeout = () => {
-      if (!this.isCollecting) return;
-      this._collectTimerDelta();
-      this.timerId2 = setTimeout(recursiveTimeout, 50 + Math.random() * 50);
-    };
-    this.timerId2 = setTimeout(recursiveTimeout, 50);
+  _dateNow() {
+    return this.clock ? this.clock() : Date.now();
   }
   
   /**
-   * Stop asynchronous timers
+   * Validate an injected Web Crypto implementation, or return the global one
    * @private
+   * @param {Object} [cryptoImpl] - options.crypto
+   * @returns {Object|null} Crypto implementation (null when none is available)
+   * @throws {Error} If the injected object lacks getRandomValues or subtle
    */
-  _stopTimerJitter() {
-    if (this.timerId1) {
-      clearInterval(this.timerId1);
-      this.timerId1 = null;
+  _resolveCrypto(cryptoImpl) {
+    if (cryptoImpl === undefined) {
+      return typeof crypto !== 'undefined' ? crypto : null;
     }
-    if (this.timerId2) {
-      clearTimeout(this.timerId2);
-      this.timerId2 = null;
+    if (!cryptoImpl || typeof cryptoImpl.getRandomValues !== 'function' ||
+        !cryptoImpl.subtle || typeof cryptoImpl.subtle.digest !== 'function') {
+      throw new Error('options.crypto must provide getRandomValues() and subtle');
     }
-    if (this.rafId) {
-      cancelAnimationFrame(this.rafId);
-      this.rafId = null;
+    return cryptoImpl;
+  }
+  
+  /**
+   * Validate an injected clock
+   * @private
+   * @param {Function} [clock] - options.clock
+   * @returns {Function|null} Clock, or null to use performance.now()/Date.now()
+   * @throws {Error} If the clock is not a function
+   */
+  _resolveClock(clock) {
+    if (clock === undefined) return null;
+    if (typeof clock !== 'function') {
+      throw new Error('options.clock must be a function returning milliseconds');
     }
+    return clock;
   }
   
   /**
-   * Collect time delta between successive reads
+   * Build the timer functions used by the instance from an injected
+   * scheduler or the globals. Optional functions are null when absent;
+   * setImmediate falls back to setTimeout(fn, 0).
    * @private
+   * @param {Object} [scheduler] - options.scheduler
+   * @returns {Object} Scheduler with every timer function
+   * @throws {Error} If a required timer function is missing
    */
-  _collectTimerDelta() {
-    const now = performance.now();
-    const delta = now - this.lastTimestamp;
-    this.lastTimestamp = now;
-    const dateNow = Date.now();
-    
-    this.timerDeltas.push(delta, dateNow);
+  _resolveScheduler(scheduler) {
+    if (scheduler !== undefined) {
+      for (const name of SCHEDULER_METHODS) {
+        if (!scheduler || typeof scheduler[name] !== 'function') {
+          throw new Error(`options.scheduler.${name} must be a function`);
+        }
+      }
+    }
+    const source = scheduler || globalThis;
+    const bind = (name) => typeof source[name] === 'function'
+      ? (...args) => source[name](...args)
+      : null;
     
-    // Limit array size
-    if (this.timerDeltas.length > 1000) {
-      this.timerDeltas = this.timerDeltas.slice(-500);
+    const resolved = {};
+    for (const name of SCHEDULER_METHODS) {
+      resolved[name] = bind(name);
     }
+    resolved.setImmediate = bind('setImmediate') || ((fn) => resolved.setTimeout(fn, 0));
+    resolved.requestAnimationFrame = bind('requestAnimationFrame');
+    resolved.cancelAnimationFrame = bind('cancelAnimationFrame');
+    return resolved;
   }
   
   /**
-   * Handler for mousemove event (weight: 1)
+   * Measure the effective resolution of _now() by busy-reading it until
+   * it ticks, within TIMER_CALIBRATION_MS of wall clock. Browsers clamp
+   * performance.now() to 5 µs with cross-origin isolation, 100 µs or 1 ms
+   * without, and coarser under fingerprinting protection.
    * @private
+   * @returns {number|null} Smallest observed tick (ms), or null if the
+   *                        clock did not tick within the budget
    */
-  _onMouseMove(e) {
-    this._addEntropy([
-      performance.now(),
-      e.clientX,
-      e.clientY,
-      e.movementX || 0,
-      e.movementY || 0,
-      e.screenX,
-      e.screenY
-    ]);
-    this.eventCount.mouse += 1;
+  _calibrateTimer() {
+    const deadline = Date.now() + TIMER_CALIBRATION_MS;
+    let last = this._now();
+    let resolution = null;
+    let ticks = 0;
+    
+    for (let reads = 1; reads <= TIMER_CALIBRATION_MAX_READS && ticks < TIMER_CALIBRATION_TICKS; reads++) {
+      const now = this._now();
+      if (now !== last) {
+        const step = now - last;
+        if (step > 0 && (resolution === null || step < resolution)) {
+          resolution = step;
+        }
+        ticks++;
+        last = now;
+      }
+      if ((reads & 0xff) === 0 && Date.now() > deadline) break;
+    }
+    return resolution;
   }
   
   /**
-   * Handler for mousedown event (weight: 2)
+   * Credit level of event timing given the measured timer resolution
    * @private
+   * @returns {string} 'full' (1 µs or finer), 'reduced' or 'none' (frozen)
    */
-  _onMouseDown(e) {
-    this._addEntropy([
-      performance.now(),
-      e.clientX,
-      e.clientY,
-      e.button,
-      e.buttons
-    ]);
-    this.eventCount.mouse += 2;
+  _getTimingCredit() {
+    if (this.timerResolution === null) return 'none';
+    return this.timerResolution <= TIMER_MIN_RESOLUTION_MS ? 'full' : 'reduced';
   }
   
   /**
-   * Handler for keydown event (weight: 3)
+   * Prevent a timer from keeping a Node.js process alive
    * @private
+   * @param {*} timerId - Timer handle returned by setInterval/setTimeout
    */
-  _onKeyDown(e) {
-    this._addEntropy([
-      performance.now(),
-      e.keyCode,
-      e.which,
-      e.repeat ? 1 : 0
-    ]);
-    this.eventCount.keyboard += 3;
+  _unrefTimer(timerId) {
+    if (timerId && typeof timerId.unref === 'function') {
+      timerId.unref();
+    }
   }
   
   /**
-   * Handler for touchstart event (weight: 2)
-   * @private
+   * Subscribe to a lifecycle event
+   * Listeners receive a payload object with `type` and `timestamp` plus
+   * event-specific fields (see docs/API.md, Events).
+   * @param {string} type - Event name (one of EVENT_TYPES)
+   * @param {Function} listener - Called with the event payload
+   * @returns {ntrpRNG} This instance (chainable)
+   * @throws {Error} If the event name is unknown or the listener is not a function
    */
-  _onTouchStart(e) {
-    for (let i = 0; i < e.touches.length; i++) {
-      const touch = e.touches[i];
-      this._addEntropy([
-        performance.now(),
-        touch.clientX,
-        touch.clientY,
-        touch.force || 0,
-        touch.radiusX || 0,
-        touch.radiusY || 0
-      ]);
+  on(type, listener) {
+    this._assertEventType(type);
+    if (typeof listener !== 'function') {
+      throw new Error(`Listener for "${type}" must be a function`);
     }
-    this.eventCount.touch += 2;
+    if (!this._listeners[type]) {
+      this._listeners[type] = [];
+    }
+    this._listeners[type].push(listener);
+    return this;
   }
   
   /**
-   * Handler for touchmove event (weight: 1)
-   * @private
+   * Subscribe to the next occurrence of an event
+   * Without a listener, returns a promise for the next payload, so tests
+   * can `await rng.once('ready')`.
+   * @param {string} type - Event name
+   * @param {Function} [listener] - Called once with the event payload
+   * @returns {ntrpRNG|Promise<Object>} This instance, or the payload promise
    */
-  _onTouchMove(e) {
-    for (let i = 0; i < e.touches.length; i++) {
-      const touch = e.touches[i];
-      this._addEntropy([
-        performance.now(),
-        touch.clientX,
-        touch.clientY
-      ]);
+  once(type, listener) {
+    if (listener === undefined) {
+      this._assertEventType(type);
+      return new Promise(resolve => this.once(type, resolve));
+    }
+    if (typeof listener !== 'function') {
+      throw new Error(`Listener for "${type}" must be a function`);
     }
-    this.eventCount.touch += 1;
+    const wrapper = (event) => {
+      this.off(type, wrapper);
+      listener.call(this, event);
+    };
+    wrapper.listener = listener;
+    return this.on(type, wrapper);
   }
   
   /**
-   * Handler for scroll event (weight: 1)
+   * Remove a listener added with on() or once()
+   * @param {string} type - Event name
+   * @param {Function} listener - Listener to remove
+   * @returns {ntrpRNG} This instance (chainable)
+   */
+  off(type, listener) {
+    const listeners = this._listeners[type];
+    if (listeners) {
+      this._listeners[type] = listeners.filter(
+        fn => fn !== listener && fn.listener !== listener
+      );
+    }
+    return this;
+  }
+  
+  /**
+   * Validate an event name
    * @private
+   * @param {string} type - Event name
+   * @throws {Error} If the event name is unknown
    */
-  _onScroll() {
-    this._addEntropy([
-      performance.now(),
-      window.scrollX,
-      window.scrollY,
-      window.innerWidth,
-      window.innerHeight
-    ]);
-    this.eventCount.scroll += 1;
+  _assertEventType(type) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown event: ${type} (expected one of ${EVENT_TYPES.join(', ')})`);
+    }
   }
   
   /**
-   * Handler for devicemotion event (weight: 2)
+   * Deliver an event to its listeners
+   * A throwing listener is logged and does not affect the others.
    * @private
+   * @param {string} type - Event name
+   * @param {Object} [detail={}] - Event-specific payload fields
    */
-  _onDeviceMotion(e) {
-    if (e.accelerationIncludingGravity) {
-      this._addEntropy([
-        performance.now(),
-        e.accelerationIncludingGravity.x || 0,
-        e.accelerationIncludingGravity.y || 0,
-        e.accelerationIncludingGravity.z || 0,
-        e.rotationRate ? e.rotationRate.alpha || 0 : 0,
-        e.rotationRate ? e.rotationRate.beta || 0 : 0,
-        e.rotationRate ? e.rotationRate.gamma || 0 : 0
-      ]);
-      this.eventCount.other += 2;
+  _emit(type, detail = {}) {
+    const listeners = this._listeners[type];
+    if (!listeners || listeners.length === 0) return;
+    
+    const event = { type, timestamp: Date.now(), ...detail };
+    for (const listener of listeners.slice()) {
+      try {
+        listener.call(this, event);
+      } catch (error) {
+        console.warn(`ntrpRNG: "${type}" listener threw: ${error && error.message}`);
+      }
     }
   }
   
   /**
-   * Add values to entropy pool
+   * React to a change in credited entropy: emit 'ready' when the
+   * requirements become met and schedule a throttled 'progress' event
+   * (at most one per PROGRESS_EVENT_INTERVAL_MS, trailing update included)
    * @private
-   * @param {Array<number>} values - Array of numeric values
    */
-  _addEntropy(values) {
-    // Direct push instead of spread for performance
-    for (let i = 0; i < values.length; i++) {
-      this.entropyPool.push(values[i]);
+  _notifyProgress() {
+    this._checkEntropyWaiters();
+    
+    const progress = this.getProgress();
+    if (progress.ready && !this._wasReady) {
+      this._emit('ready', progress);
     }
+    this._wasReady = progress.ready;
     
-    // Limit pool size
-    if (this.entropyPool.length > 5000) {
-      this.entropyPool = this.entropyPool.slice(-2500);
+    const listeners = this._listeners.progress;
+    if (!listeners || listeners.length === 0 || this._progressTimer) return;
+    
+    const wait = this._lastProgressEvent + PROGRESS_EVENT_INTERVAL_MS - this._now();
+    if (wait <= 0) {
+      this._emitProgress();
+      return;
     }
+    this._progressTimer = this.scheduler.setTimeout(() => {
+      this._progressTimer = null;
+      this._emitProgress();
+    }, wait);
+    this._unrefTimer(this._progressTimer);
   }
   
   /**
-   * Generate random salt using crypto.getRandomValues
-   * @returns {Uint8Array} Random salt
+   * Emit a 'progress' event with the current getProgress() result
+   * @private
    */
-  generateSalt() {
-    const salt = new Uint8Array(this.saltSize);
-    crypto.getRandomValues(salt);
-    return salt;
+  _emitProgress() {
+    this._lastProgressEvent = this._now();
+    this._emit('progress', this.getProgress());
   }
   
   /**
-   * Serialize float array to bytes using DataView (big-endian)
-   * @private
-   * @param {Array<number>} floatArray - Array of floats
-   * @returns {Uint8Array} Serialized bytes
+   * Start collecting entropy from user events
+   * In headless mode only timer jitter is collected; input events
+   * must be supplied through injectEvent().
    */
-  _serializeFloats(floatArray) {
-    const buffer = new ArrayBuffer(floatArray.length * 8);
-    const view = new DataView(buffer);
+  startCollecting() {
+    if (this.isCollecting) return;
+    this.isCollecting = true;
     
-    for (let i = 0; i < floatArray.length; i++) {
-      view.setFloat64(i * 8, floatArray[i], false); // false = big-endian
+    // Start every enabled source (built-in listeners + custom sources)
+    for (const name in this.sources) {
+      if (this.sources[name].enabled) {
+        this._startSource(this.sources[name]);
+      }
     }
     
-    return new Uint8Array(buffer);
+    // Asynchronous timers for micro-jitter
+    this._startTimerJitter();
+    
+    this._emit('collection-start', {
+      headless: this.headless,
+      sources: Object.keys(this.sources).filter(name => this.sources[name].active)
+    });
   }
   
   /**
-   * Combine behavioral entropy, timers, and salt
-   * Pre-hashes entropy pools to avoid IEEE 754 pattern repetition artifacts
-   * @param {Uint8Array} salt - Salt to include
-   * @returns {Promise<Uint8Array>} Combined input
+   * Stop entropy collection
    */
-  async combineEntropy(salt) {
-    // Serialize entropy pools to deterministic byte representations
-    const entropyBytes = this._serializeFloats(this.entropyPool);
-    const timerBytes = this._serializeFloats(this.timerDeltas);
-    
-    // Pre-hash each entropy source with SHA-256
-    const entropyHashBuffer = await crypto.subtle.digest('SHA-256', entropyBytes);
-    const entropyHash = new Uint8Array(entropyHashBuffer);
-    
-    const timerHashBuffer = await crypto.subtle.digest('SHA-256', timerBytes);
-    const timerHash = new Uint8Array(timerHashBuffer);
+  stopCollecting() {
+    if (!this.isCollecting) return;
+    this.isCollecting = false;
     
-    // Combine both 32-byte digests with salt
-    const totalLength = entropyHash.length + timerHash.length + salt.length;
-    const combined = new Uint8Array(totalLength);
+    for (const name in this.sources) {
+      this._stopSource(this.sources[name]);
+    }
     
-    let offset = 0;
-    combined.set(entropyHash, offset);
-    offset += entropyHash.length;
-    combined.set(timerHash, offset);
-    offset += timerHash.length;
-    combined.set(salt, offset);
+    this._stopTimerJitter();
     
-    return combined;
+    this._emit('collection-stop', { progress: this.getProgress() });
   }
   
   /**
-   * Perform iterative hashing with async batching
-   * @private
-   * @param {Uint8Array} data - Data to hash
-   * @param {string} algorithm - Algorithm ('SHA-256' or 'SHA-512')
-   * @param {number} iterations - Number of iterations
-   * @returns {Promise<Uint8Array>} Resulting hash
+   * Register an entropy source
+   * 
+   * The source's start() receives an emit(values) callback; every call
+   * feeds the values into the entropy pool, credits the source's weight
+   * to eventCount[group] and credits the estimator's result (bits) to
+   * the source's entropy estimate.
+   * 
+   * @param {Object} source - Source descriptor
+   * @param {string} source.name - Unique source name
+   * @param {Function} source.start - Called with (emit, rng) when collection starts
+   * @param {Function} [source.stop] - Called with (rng) when collection stops
+   * @param {number} [source.weight=1] - Weighted-event credit per emitted sample
+   * @param {Function} [source.estimator] - (values, context) => estimated bits;
+   *                   context holds { timingBits, state, source }
+   * @param {string} [source.group=name] - eventCount key the credit is added to
+   * @throws {Error} If the descriptor is invalid or the name is taken
    */
-  async _iterativeHash(data, algorithm, iterations) {
-    let hash = data;
-    const batchSize = 100;
+  registerSource({ name, start, stop, weight = 1, estimator = null, group = name } = {}) {
+    if (typeof name !== 'string' || name.length === 0) {
+      throw new Error('Entropy source requires a name');
+    }
+    if (typeof start !== 'function') {
+      throw new Error(`Entropy source "${name}" requires a start() function`);
+    }
+    if (stop !== undefined && typeof stop !== 'function') {
+      throw new Error(`Entropy source "${name}": stop must be a function`);
+    }
+    if (estimator !== null && typeof estimator !== 'function') {
+      throw new Error(`Entropy source "${name}": estimator must be a function`);
+    }
+    if (typeof weight !== 'number' || !(weight >= 0)) {
+      throw new Error(`Entropy source "${name}": weight must be a non-negative number`);
+    }
+    if (this.sources[name]) {
+      throw new Error(`Entropy source already registered: ${name}`);
+    }
+    if (name === TIMER_SOURCE || name === SEED_FILE_SOURCE || JITTER_STREAMS.includes(name)) {
+      throw new Error(`Entropy source name is reserved: ${name}`);
+    }
     
-    for (let i = 0; i < iterations; i++) {
-      const hashBuffer = await crypto.subtle.digest(algorithm, hash);
-      hash = new Uint8Array(hashBuffer);
-      
-      // Yield control after each batch
-      if ((i + 1) % batchSize === 0) {
-        await new Promise(resolve => setTimeout(resolve, 0));
-      }
+    const source = {
+      name,
+      group,
+      weight,
+      estimator,
+      start,
+      stop: stop || null,
+      builtin: false,
+      timestampStride: 0,
+      lastSampleTime: null,
+      enabled: true,
+      active: false
+    };
+    this.sources[name] = source;
+    
+    if (!(group in this.eventCount)) {
+      this.eventCount[group] = 0;
     }
     
-    return hash;
+    if (this.isCollecting) {
+      this._startSource(source);
+    }
+    
+    this._emit('source-added', { name, group, weight, active: source.active });
   }
   
   /**
-   * Perform XOR between two Uint8Arrays (truncates to shorter length)
-   * @private
-   * @param {Uint8Array} a - First array
-   * @param {Uint8Array} b - Second array
-   * @returns {Uint8Array} XOR result
+   * Remove a registered entropy source (stops it first)
+   * Entropy already credited stays in the pool until clearEntropy().
+   * @param {string} name - Source name
+   * @returns {boolean} True if the source existed
    */
-  _xorArrays(a, b) {
-    const minLength = Math.min(a.length, b.length);
-    const result = new Uint8Array(minLength);
+  unregisterSource(name) {
+    const source = this.sources[name];
+    if (!source) return false;
     
-    for (let i = 0; i < minLength; i++) {
-      result[i] = a[i] ^ b[i];
+    this._stopSource(source);
+    delete this.sources[name];
+    return true;
+  }
+  
+  /**
+   * Enable a registered source (starts it if collection is running)
+   * @param {string} name - Source name
+   * @throws {Error} If the source is unknown
+   */
+  enableSource(name) {
+    const source = this._getSource(name);
+    source.enabled = true;
+    if (this.isCollecting) {
+      this._startSource(source);
     }
-    
-    return result;
   }
   
   /**
-   * Truncate SHA-512 to 32 bytes
-   * @private
-   * @param {Uint8Array} hash512 - SHA-512 hash (64 bytes)
-   * @returns {Uint8Array} Truncated hash (32 bytes)
+   * Disable a registered source (stops it if active)
+   * @param {string} name - Source name
+   * @throws {Error} If the source is unknown
    */
-  _truncate512(hash512) {
-    return hash512.slice(0, 32);
+  disableSource(name) {
+    const source = this._getSource(name);
+    source.enabled = false;
+    this._stopSource(source);
   }
   
   /**
-   * Calculate weighted event count
+   * List registered entropy sources
+   * @returns {Array<Object>} Source descriptors (name, group, weight, builtin, enabled, active)
+   */
+  getSources() {
+    return Object.values(this.sources).map(source => ({
+      name: source.name,
+      group: source.group,
+      weight: source.weight,
+      builtin: source.builtin,
+      enabled: source.enabled,
+      active: source.active
+    }));
+  }
+  
+  /**
+   * Look up a registered source
    * @private
-   * @returns {number} Weighted sum of events
+   * @param {string} name - Source name
+   * @returns {Object} Source record
+   * @throws {Error} If the source is unknown
    */
-  _getWeightedEventCount() {
-    return this.eventCount.mouse + 
-           this.eventCount.keyboard + 
-           this.eventCount.touch + 
-           this.eventCount.scroll + 
-           this.eventCount.other;
+  _getSource(name) {
+    const source = this.sources[name];
+    if (!source) {
+      throw new Error(`Unknown entropy source: ${name}`);
+    }
+    return source;
   }
   
   /**
-   * Verify sufficient entropy has been collected
-   * @returns {boolean} True if entropy is sufficient
+   * Start a single source
+   * @private
+   * @param {Object} source - Source record
    */
-  hasMinimumEntropy() {
-    // Integrity check #2 - Validation
-    if (REQUIRED_MIN_EVENTS !== _VERIFY_A || 
-        REQUIRED_MIN_EVENTS !== _VERIFY_B || 
-        REQUIRED_MIN_EVENTS !== _VERIFY_C ||
-        this.minEvents !== 500) {
-      throw new Error('Security integrity check failed: minimum events constant tampered');
+  _startSource(source) {
+    if (source.active) return;
+    source.active = true;
+    
+    try {
+      source.start((values) => this._recordSourceEvent(source.name, values), this);
+    } catch (error) {
+      source.active = false;
+      console.warn(`ntrpRNG: entropy source "${source.name}" failed to start: ${error.message}`);
     }
+  }
+  
+  /**
+   * Stop a single source
+   * @private
+   * @param {Object} source - Source record
+   */
+  _stopSource(source) {
+    if (!source.active) return;
+    source.active = false;
     
-    const weightedEvents = this._getWeightedEventCount();
-    return weightedEvents >= 500 && 
-           this.entropyPool.length > 0 && 
-           this.timerDeltas.length > 0;
+    if (source.stop) {
+      try {
+        source.stop(this);
+      } catch (error) {
+        console.warn(`ntrpRNG: entropy source "${source.name}" failed to stop: ${error.message}`);
+      }
+    }
   }
   
   /**
-   * Generate cryptographically secure seed with dual-path fortification
-   * @param {boolean} skipValidation - Skip minimum entropy validation (default: false)
-   * @returns {Promise<Uint8Array>} Final seed (64 bytes)
-   * @throws {Error} If entropy is insufficient and skipValidation is false
+   * Register the built-in DOM event sources
+   * In headless mode the listeners are not attached, but the sources
+   * stay active so injectEvent() can feed them.
+   * @private
    */
-  async generateSeed(skipValidation = false) {
-    // Integrity check #3 - Generation
-    if (REQUIRED_MIN_EVENTS !== _VERIFY_A || 
-        REQUIRED_MIN_EVENTS !== _VERIFY_B || 
-        REQUIRED_MIN_EVENTS !== _VERIFY_C ||
-        this.minEvents !== 500) {
-      throw new Error('Security integrity check failed: minimum events constant tampered');
+  _registerBuiltinSources() {
+    for (const spec of BUILTIN_SOURCES) {
+      const handler = this.handlers[spec.name];
+      const listener = (event) => {
+        const verdict = this._screenEvent(spec.name, event);
+        if (verdict !== 'untrusted') {
+          handler(event, verdict);
+        }
+      };
+      const getTarget = () => {
+        if (this.headless) return null;
+        if (spec.name === 'devicemotion' && !window.DeviceMotionEvent) return null;
+        return spec.target === 'window' ? window : document;
+      };
+      
+      this.registerSource({
+        name: spec.name,
+        group: spec.group,
+        weight: spec.weight,
+        estimator: this._getBuiltinEstimator(spec.estimator),
+        start: () => {
+          const target = getTarget();
+          if (target) {
+            target.addEventListener(spec.name, listener, { passive: true });
+          }
+        },
+        stop: () => {
+          const target = getTarget();
+          if (target) {
+            target.removeEventListener(spec.name, listener);
+          }
+        }
+      });
+      this.sources[spec.name].builtin = true;
+      this.sources[spec.name].timestampStride = spec.stride;
     }
+  }
+  
+  /**
+   * Feed one sample from a source into the pool and credit it
+   * @private
+   * @param {string} name - Source name
+   * @param {Array<number>} values - Sample values
+   * @param {string|null} [suspicion] - Bot pattern flagged by _screenEvent
+   * @returns {boolean} True if the sample was recorded
+   */
+  _recordSourceEvent(name, values, suspicion = null) {
+    const source = this.sources[name];
+    if (!this.isCollecting || !source || !source.active) return false;
     
-    // Validate entropy
-    if (!skipValidation && !this.hasMinimumEntropy()) {
-      const stats = this.getStats();
-      throw new Error(
-        `Insufficient entropy. Weighted events: ${stats.totalEvents}/500, ` +
-        `Pool: ${this.entropyPool.length}, Timer: ${this.timerDeltas.length}`
-      );
+    // Samples from a quarantined source are discarded
+    const sample = this._healthSample(source, values);
+    if (!this._runHealthTests(name, sample, HEALTH_CUTOFFS.event)) return false;
+    
+    this._addEntropy(values, name);
+    
+    // Bot-like input still mixes into the pool but earns no credit
+    if (suspicion) {
+      this.rejectedEvents[suspicion]++;
+      return true;
     }
     
-    // 1. Generate salt
-    const salt = this.generateSalt();
+    this.eventCount[source.group] += source.weight;
+    this.sourceEvents[name] = (this.sourceEvents[name] || 0) + source.weight;
     
-    // PATH A - User Entropy (primary)
-    const combined = await this.combineEntropy(salt);
-    const preHashBuffer = await crypto.subtle.digest('SHA-256', combined);
-    const preHash = new Uint8Array(preHashBuffer);
+    const bits = this._estimateEventBits(source, values);
+    this.entropyBits[name] = (this.entropyBits[name] || 0) + bits;
+    this._notifyProgress();
+    return true;
+  }
+  
+  /**
+   * Screen a DOM event for synthetic input before it reaches its handler.
+   * Events fed through injectEvent() are not screened (see injectEvent).
+   * @private
+   * @param {string} name - Built-in source name
+   * @param {Event} event - DOM event
+   * @returns {string|null} 'untrusted' (drop the event), a zero-credit
+   *                        pattern from BOT_PATTERNS, or null
+   */
+  _screenEvent(name, event) {
+    if (!this.botDetection) return null;
     
-    const hash256_A = await this._iterativeHash(preHash, 'SHA-256', this.iterations);
-    const hash512_A_full = await this._iterativeHash(preHash, 'SHA-512', this.iterations);
-    const hash512_A = this._truncate512(hash512_A_full);
+    // Dispatched by page script (dispatchEvent), not by the user agent
+    if (event.isTrusted === false) {
+      this.rejectedEvents.untrusted++;
+      return 'untrusted';
+    }
     
-    const user_final = this._xorArrays(hash256_A, hash512_A);
+    // Auto-repeat keydowns are regular by design and earn no credit anyway
+    if (name === 'keydown' && event.repeat) return null;
     
-    // PATH B - CSPRNG (whitening)
-    const random_bytes = new Uint8Array(64);
-    crypto.getRandomValues(random_bytes);
+    let state = this.botState[name];
+    if (!state) {
+      state = this.botState[name] = {
+        lastTime: null,
+        lastInterval: null,
+        regularRun: 0,
+        pointerId: null,
+        path: [],
+        lastKey: null,
+        keyRun: 0
+      };
+    }
     
-    const hash256_B_buffer = await crypto.subtle.digest('SHA-256', random_bytes);
-    const hash256_B = new Uint8Array(hash256_B_buffer);
+    const now = this._now();
+    let interval = null;
+    if (state.lastTime !== null) {
+      interval = now - state.lastTime;
+      if (state.lastInterval !== null &&
+          Math.abs(interval - state.lastInterval) <= BOT_TIMING_TOLERANCE_MS) {
+        state.regularRun++;
+      } else {
+        state.regularRun = 1;
+      }
+      state.lastInterval = interval;
+    }
+    state.lastTime = now;
     
-    const hash512_B_full_buffer = await crypto.subtle.digest('SHA-512', random_bytes);
-    const hash512_B_full = new Uint8Array(hash512_B_full_buffer);
-    const hash512_B = this._truncate512(hash512_B_full);
+    let verdict = null;
+    if (name === 'mousemove' || name === 'touchmove') {
+      verdict = this._screenPointerPath(state, event, interval);
+    } else if (name === 'keydown') {
+      verdict = this._screenKeys(state, event);
+    }
     
-    const csprng_final = this._xorArrays(hash256_B, hash512_B);
+    // Motion sensors report at a fixed rate; only human-driven input is timed
+    if (!verdict && name !== 'devicemotion' && state.regularRun >= BOT_REGULAR_RUN) {
+      verdict = 'regularTiming';
+    }
+    return verdict;
+  }
+  
+  /**
+   * Check a pointer move for impossible velocity and for the straight,
+   * constant-speed steps of an interpolated path
+   * @private
+   * @param {Object} state - Screening state of the source
+   * @param {Event} event - mousemove or touchmove event
+   * @param {number|null} interval - Time since the previous event (ms)
+   * @returns {string|null} 'impossibleVelocity', 'linearPath' or null
+   */
+  _screenPointerPath(state, event, interval) {
+    let point;
+    if (event.touches) {
+      const touch = event.touches[0];
+      if (!touch) return null;
+      point = { id: touch.identifier, x: touch.clientX, y: touch.clientY };
+    } else {
+      point = { id: 'mouse', x: event.clientX, y: event.clientY };
+    }
     
-    // Final Mixing (double-hash)
-    const finalInputLength = user_final.length + csprng_final.length + salt.length;
-    const finalInput = new Uint8Array(finalInputLength);
+    // A different finger starts a new path
+    if (point.id !== state.pointerId) {
+      state.pointerId = point.id;
+      state.path = [];
+    }
+    const path = state.path;
+    path.push(point);
+    if (path.length > BOT_LINEAR_RUN + 1) path.shift();
+    if (path.length < 2) return null;
     
-    let offset = 0;
-    finalInput.set(user_final, offset);
-    offset += user_final.length;
-    finalInput.set(csprng_final, offset);
-    offset += csprng_final.length;
-    finalInput.set(salt, offset);
+    const prev = path[path.length - 2];
+    const step = Math.hypot(point.x - prev.x, point.y - prev.y);
     
-    const intermediateBuffer = await crypto.subtle.digest('SHA-512', finalInput);
-    const intermediate = new Uint8Array(intermediateBuffer);
+    // Coarse clocks can report 0 ms between real events
+    if (interval !== null && step / Math.max(interval, 1) > BOT_MAX_SPEED) {
+      state.path = [point];
+      return 'impossibleVelocity';
+    }
     
-    const finalSeedBuffer = await crypto.subtle.digest('SHA-512', intermediate);
-    const finalSeed = new Uint8Array(finalSeedBuffer);
+    if (path.length === BOT_LINEAR_RUN + 1 && this._isInterpolatedPath(path)) {
+      return 'linearPath';
+    }
+    return null;
+  }
+  
+  /**
+   * Whether every point of a path lies within 1 px of the chord from its
+   * first to its last point, moving at a constant speed (rounded
+   * coordinates: step lengths within 2 px of each other)
+   * @private
+   * @param {Array<Object>} path - Points { x, y }
+   * @returns {boolean} True for a straight constant-speed path
+   */
+  _isInterpolatedPath(path) {
+    const first = path[0];
+    const last = path[path.length - 1];
+    const cx = last.x - first.x;
+    const cy = last.y - first.y;
+    const chord = Math.hypot(cx, cy);
+    if (chord === 0) return false;
     
-    return finalSeed;
+    let minStep = Infinity;
+    let maxStep = 0;
+    for (let i = 1; i < path.length; i++) {
+      const p = path[i];
+      const step = Math.hypot(p.x - path[i - 1].x, p.y - path[i - 1].y);
+      minStep = Math.min(minStep, step);
+      maxStep = Math.max(maxStep, step);
+      if (Math.abs(cx * (p.y - first.y) - cy * (p.x - first.x)) / chord > 1) return false;
+    }
+    return minStep > 0 && maxStep - minStep <= 2;
   }
   
   /**
-   * Convert Uint8Array to hexadecimal string
-   * @param {Uint8Array} bytes - Byte array
-   * @returns {string} Hexadecimal string
+   * Check a keydown for a run of presses of the same key
+   * @private
+   * @param {Object} state - Screening state of the source
+   * @param {Event} event - keydown event (not auto-repeat)
+   * @returns {string|null} 'repeatedKey' or null
    */
-  toHex(bytes) {
-    return Array.from(bytes)
-      .map(b => b.toString(16).padStart(2, '0'))
-      .join('');
+  _screenKeys(state, event) {
+    if (event.keyCode === state.lastKey) {
+      state.keyRun++;
+    } else {
+      state.lastKey = event.keyCode;
+      state.keyRun = 1;
+    }
+    return state.keyRun >= BOT_KEY_RUN ? 'repeatedKey' : null;
   }
   
   /**
-   * Convert Uint8Array to Base64 string
-   * @param {Uint8Array} bytes - Byte array
-   * @returns {string} Base64 string
+   * Build zeroed synthetic input counters, one per BOT_PATTERNS entry
+   * @private
+   * @returns {Object} Rejection counters
    */
-  toBase64(bytes) {
-    return btoa(String.fromCharCode(...bytes));
+  _createRejectedCounts() {
+    const counts = {};
+    for (const pattern of BOT_PATTERNS) {
+      counts[pattern] = 0;
+    }
+    return counts;
   }
   
   /**
-   * Generate seed and return in hexadecimal format
-   * @param {boolean} skipValidation - Skip minimum entropy validation
-   * @returns {Promise<string>} Seed in hex format
+   * Reduce a source sample to the value the health tests compare
+   * Handler timestamps always differ, so they are stripped from built-in
+   * samples; a stuck device then repeats. Pointer and key samples keep the
+   * interval since the previous sample instead, as the same click or key
+   * repeated in place differs only in timing. Auto-repeat keydowns are
+   * expected repetition (and earn no credit), so they are not tested.
+   * Custom source samples are tested as emitted.
+   * @private
+   * @param {Object} source - Source record
+   * @param {Array<number>} values - Sample values
+   * @returns {string|null} Sample key, or null to skip testing
    */
-  async generateSeedHex(skipValidation = false) {
-    const seed = await this.generateSeed(skipValidation);
-    return this.toHex(seed);
+  _healthSample(source, values) {
+    const stride = source.timestampStride;
+    if (!stride) {
+      return values.join(',');
+    }
+    if (source.name === 'keydown' && values[3]) {
+      return null;
+    }
+    const content = values.filter((value, i) => i % stride !== 0);
+    if (!HEALTH_TIMED_GROUPS.includes(source.group)) {
+      return content.join(',');
+    }
+    
+    const interval = source.lastSampleTime === null ? null : values[0] - source.lastSampleTime;
+    source.lastSampleTime = values[0];
+    return `${interval};${content.join(',')}`;
   }
   
   /**
-   * Generate seed and return in Base64 format
-   * @param {boolean} skipValidation - Skip minimum entropy validation
-   * @returns {Promise<string>} Seed in Base64 format
+   * Run the Repetition Count Test and Adaptive Proportion Test
+   * (SP 800-90B §4.4.1, §4.4.2) on one sample and quarantine the source
+   * on failure
+   * @private
+   * @param {string} name - Source name ('timer' for timer deltas)
+   * @param {string|null} sample - Sample key (null: not tested)
+   * @param {Object} cutoffs - { rct, apt } from HEALTH_CUTOFFS
+   * @returns {boolean} False if the source is quarantined
    */
-  async generateSeedBase64(skipValidation = false) {
-    const seed = await this.generateSeed(skipValidation);
-    return this.toBase64(seed);
+  _runHealthTests(name, sample, cutoffs) {
+    let state = this.health[name];
+    if (!state) {
+      state = this.health[name] = this._createHealthState();
+    }
+    if (state.quarantined) return false;
+    if (sample === null) return true;
+    state.samples++;
+    
+    // RCT: run length of identical consecutive samples
+    if (sample === state.rctLast) {
+      state.rctCount++;
+    } else {
+      state.rctLast = sample;
+      state.rctCount = 1;
+    }
+    if (state.rctCount >= cutoffs.rct) {
+      this._quarantineSource(name, 'rct', state.rctCount, cutoffs.rct);
+      return false;
+    }
+    
+    // APT: occurrences of the window's first sample within W samples
+    if (state.aptSeen === 0 || state.aptSeen >= APT_WINDOW) {
+      state.aptFirst = sample;
+      state.aptCount = 1;
+      state.aptSeen = 1;
+    } else {
+      state.aptSeen++;
+      if (sample === state.aptFirst) {
+        state.aptCount++;
+        if (state.aptCount >= cutoffs.apt) {
+          this._quarantineSource(name, 'apt', state.aptCount, cutoffs.apt);
+          return false;
+        }
+      }
+    }
+    return true;
   }
   
   /**
-   * Get progress toward minimum entropy requirement
-   * @returns {Object} Progress information
+   * Create empty health test state
+   * @private
+   * @returns {Object} Health state
    */
-  getProgress() {
-    const currentEvents = this._getWeightedEventCount();
+  _createHealthState() {
     return {
-      currentEvents: currentEvents,
-      requiredEvents: 500,
-      percentage: Math.min(100, (currentEvents / 500) * 100),
-      ready: currentEvents >= 500
+      samples: 0,
+      rctLast: null,
+      rctCount: 0,
+      aptFirst: null,
+      aptCount: 0,
+      aptSeen: 0,
+      quarantined: false,
+      failure: null
     };
   }
   
   /**
-   * Get statistics about entropy collection
-   * @returns {Object} Statistics
+   * Quarantine a source after a health test failure: its credited events
+   * and bits are removed and later samples are discarded
+   * @private
+   * @param {string} name - Source name
+   * @param {string} test - 'rct' or 'apt'
+   * @param {number} count - Observed count
+   * @param {number} cutoff - Test cutoff
    */
-  getStats() {
-    return {
-      entropyPoolSize: this.entropyPool.length,
-      timerDeltasSize: this.timerDeltas.length,
-      isCollecting: this.isCollecting,
-      eventCount: { ...this.eventCount },
-      totalEvents: this._getWeightedEventCount(),
-      minEvents: this.minEvents,
-      hasMinimumEntropy: this.hasMinimumEntropy()
-    };
+  _quarantineSource(name, test, count, cutoff) {
+    const state = this.health[name];
+    state.quarantined = true;
+    state.failure = { source: name, test, count, cutoff, timestamp: Date.now() };
+    
+    const source = this.sources[name];
+    if (source && this.sourceEvents[name]) {
+      this.eventCount[source.group] = Math.max(0, this.eventCount[source.group] - this.sourceEvents[name]);
+    }
+    delete this.sourceEvents[name];
+    delete this.entropyBits[name];
+    
+    console.warn(`ntrpRNG: entropy source "${name}" quarantined after failing the ` +
+                 `${test.toUpperCase()} health test (${count}/${cutoff})`);
+    this._emit('health-failure', { test, source: name, count, cutoff });
+    this._notifyProgress();
   }
   
   /**
-   * Clear entropy pool
+   * Failures of quarantined sources that still feed the pool
+   * (enabled sources and the timer)
+   * @private
+   * @returns {Array<Object>} Failure records
    */
-  clearEntropy() {
-    this.entropyPool = [];
-    this.timerDeltas = [];
-    this.eventCount = {
-      mouse: 0,
-      keyboard: 0,
-      touch: 0,
-      scroll: 0,
-      other: 0
+  _getHealthFailures() {
+    return Object.keys(this.health)
+      .filter(name => this.health[name].quarantined &&
+                      (name === TIMER_SOURCE || (this.sources[name] && this.sources[name].enabled)))
+      .map(name => this.health[name].failure);
+  }
+  
+  /**
+   * Lift the quarantine of a source (or of all sources) and restart its
+   * health tests. Credit removed at quarantine is not restored.
+   * @param {string} [name] - Source name or 'timer'; all sources if omitted
+   */
+  resetHealth(name) {
+    if (name === undefined) {
+      this.health = {};
+    } else {
+      delete this.health[name];
+    }
+  }
+  
+  /**
+   * Build a zeroed eventCount object with one key per counter group
+   * @private
+   * @returns {Object} Event counters
+   */
+  _createEventCount() {
+    const eventCount = {};
+    for (const group of BASE_EVENT_GROUPS) {
+      eventCount[group] = 0;
+    }
+    for (const name in this.sources) {
+      eventCount[this.sources[name].group] = 0;
+    }
+    return eventCount;
+  }
+  
+  /**
+   * Estimate the min-entropy (bits) contributed by one source sample
+   * Timing is credited by the framework for every source; the source's
+   * estimator combines it with the content of the sample.
+   * @private
+   * @param {Object} source - Source record
+   * @param {Array<number>} values - Sample values
+   * @returns {number} Credited bits, clamped to [0, MAX_BITS_PER_EVENT]
+   */
+  _estimateEventBits(source, values) {
+    let state = this.estimatorState[source.name];
+    if (!state) {
+      state = this.estimatorState[source.name] = {
+        lastTime: null,
+        lastD1: 0,
+        lastD2: 0,
+        buckets: [],
+        bucketCounts: {},
+        custom: {}
+      };
+    }
+    
+    const timingBits = this._estimateTimingBits(state, this._now());
+    const context = { timingBits, state: state.custom, source: source.name };
+    const bits = source.estimator
+      ? source.estimator(values, context)
+      : this._estimateGeneric(values, context);
+    
+    return Math.max(0, Math.min(MAX_BITS_PER_EVENT, Number(bits) || 0));
+  }
+  
+  /**
+   * Credit timing entropy from the inter-event delta distribution
+   * Takes the smaller of (a) the 1st/2nd/3rd-order delta magnitude
+   * estimate and (b) the min-entropy of recent deltas bucketed at
+   * half-octave resolution, so regular or frozen timing earns nothing.
+   * Deltas are counted in ticks of the measured timer resolution, so a
+   * clamped clock earns proportionally less and a frozen one nothing.
+   * @private
+   * @param {Object} state - Per-source estimator state
+   * @param {number} now - Event timestamp (ms)
+   * @returns {number} Timing bits
+   */
+  _estimateTimingBits(state, now) {
+    if (state.lastTime === null) {
+      state.lastTime = now;
+      return 0;
+    }
+    
+    // Work in timer ticks (microseconds at best)
+    const unit = Math.max(TIMER_MIN_RESOLUTION_MS, this.timerResolution || 0);
+    const d1 = Math.round((now - state.lastTime) / unit);
+    const d2 = d1 - state.lastD1;
+    const d3 = d2 - state.lastD2;
+    state.lastTime = now;
+    state.lastD1 = d1;
+    state.lastD2 = d2;
+    
+    const minDelta = Math.min(Math.abs(d1), Math.abs(d2), Math.abs(d3));
+    const deltaBits = minDelta >= 2 ? Math.min(11, Math.floor(Math.log2(minDelta >> 1)) + 1) : 0;
+    
+    // Sliding histogram of delta magnitudes
+    const bucket = Math.floor(Math.log2(Math.abs(d1) + 1) * 2);
+    state.buckets.push(bucket);
+    state.bucketCounts[bucket] = (state.bucketCounts[bucket] || 0) + 1;
+    if (state.buckets.length > ESTIMATOR_WINDOW) {
+      state.bucketCounts[state.buckets.shift()]--;
+    }
+    
+    const n = state.buckets.length;
+    if (n < ESTIMATOR_WARMUP || this.timerResolution === null) return 0;
+    
+    let maxCount = 0;
+    for (const key in state.bucketCounts) {
+      maxCount = Math.max(maxCount, state.bucketCounts[key]);
+    }
+    const histogramBits = -Math.log2(maxCount / n);
+    
+    return Math.min(deltaBits, histogramBits);
+  }
+  
+  /**
+   * Resolve a built-in estimator by kind
+   * @private
+   * @param {string} kind - 'pointer', 'key', 'scroll' or 'motion'
+   * @returns {Function} Bound estimator
+   */
+  _getBuiltinEstimator(kind) {
+    const estimators = {
+      pointer: this._estimatePointer,
+      key: this._estimateKey,
+      scroll: this._estimateScroll,
+      motion: this._estimateMotion
     };
+    return estimators[kind].bind(this);
   }
-}
+  
+  /**
+   * Bits from an unpredictable change in a coordinate: deviation from
+   * linear extrapolation of the previous movement (second difference)
+   * @private
+   * @param {Object} state - Estimator state
+   * @param {string} axis - State key prefix
+   * @param {number} value - Current coordinate
+   * @returns {number} Bits (0-2)
+   */
+  _estimateAxisBits(state, axis, value) {
+    const last = state[axis];
+    const lastDelta = state[axis + 'Delta'] || 0;
+    state[axis] = value;
+    if (last === undefined || !Number.isFinite(value)) return 0;
+    
+    const delta = value - last;
+    state[axis + 'Delta'] = delta;
+    return Math.min(2, Math.log2(1 + Math.abs(delta - lastDelta)));
+  }
+  
+  /**
+   * Estimator for mouse/touch samples [t, x, y, ...]
+   * Straight constant-velocity paths earn timing credit only.
+   * @private
+   */
+  _estimatePointer(values, context) {
+    const contentBits = this._estimateAxisBits(context.state, 'x', values[1]) +
+                        this._estimateAxisBits(context.state, 'y', values[2]);
+    return context.timingBits + contentBits;
+  }
+  
+  /**
+   * Estimator for keydown samples [t, keyCode, which, repeat]
+   * Auto-repeat events are suppressed entirely (their timing is
+   * driven by the OS repeat rate, not the user); pressing the same
+   * key again earns timing credit only. A key change earns at most
+   * 2 bits, capped by the min-entropy of the last ESTIMATOR_WINDOW
+   * keyCodes, so alternating between a few keys earns little.
+   * @private
+   */
+  _estimateKey(values, context) {
+    if (values[3]) return 0;
+    
+    const state = context.state;
+    if (!state.keys) {
+      state.keys = [];
+      state.keyCounts = {};
+    }
+    const keyCode = values[1];
+    const changed = state.lastKey !== undefined && state.lastKey !== keyCode;
+    state.lastKey = keyCode;
+    
+    state.keys.push(keyCode);
+    state.keyCounts[keyCode] = (state.keyCounts[keyCode] || 0) + 1;
+    if (state.keys.length > ESTIMATOR_WINDOW) {
+      state.keyCounts[state.keys.shift()]--;
+    }
+    
+    const n = state.keys.length;
+    if (!changed || n < ESTIMATOR_WARMUP) return context.timingBits;
+    
+    let maxCount = 0;
+    for (const key in state.keyCounts) {
+      maxCount = Math.max(maxCount, state.keyCounts[key]);
+    }
+    return context.timingBits + Math.min(2, -Math.log2(maxCount / n));
+  }
+  
+  /**
+   * Estimator for scroll samples [t, scrollX, scrollY, width, height]
+   * @private
+   */
+  _estimateScroll(values, context) {
+    const contentBits = this._estimateAxisBits(context.state, 'x', values[1]) +
+                        this._estimateAxisBits(context.state, 'y', values[2]);
+    return context.timingBits + Math.min(2, contentBits);
+  }
+  
+  /**
+   * Estimator for devicemotion samples [t, ax, ay, az, alpha, beta, gamma]
+   * A stuck sensor reporting identical readings earns nothing.
+   * @private
+   */
+  _estimateMotion(values, context) {
+    const last = context.state.lastReading;
+    const reading = values.slice(1);
+    context.state.lastReading = reading;
+    if (!last) return 0;
+    
+    let changed = 0;
+    for (let i = 0; i < reading.length; i++) {
+      if (reading[i] !== last[i]) changed++;
+    }
+    if (changed === 0) return 0;
+    return context.timingBits + Math.min(2, changed * 0.5);
+  }
+  
+  /**
+   * Default estimator for custom sources without one
+   * Timing credit plus one bit when the sample differs from the last.
+   * @private
+   */
+  _estimateGeneric(values, context) {
+    const key = values.join(',');
+    const changed = context.state.lastSample !== undefined && context.state.lastSample !== key;
+    context.state.lastSample = key;
+    return context.timingBits + (changed ? 1 : 0);
+  }
+  
+  /**
+   * Get the estimated min-entropy collected so far
+   * @returns {Object} Estimate ({ totalBits, requiredBits, sources, ready })
+   */
+  getEntropyEstimate() {
+    const sources = {};
+    for (const name in this.sources) {
+      sources[name] = this.entropyBits[name] || 0;
+    }
+    for (const name of this.jitterStreams) {
+      sources[name] = this.entropyBits[name] || 0;
+    }
+    const totalBits = this._getEstimatedBits();
+    
+    return {
+      totalBits,
+      requiredBits: REQUIRED_ENTROPY_BITS,
+      sources,
+      ready: totalBits >= REQUIRED_ENTROPY_BITS
+    };
+  }
+  
+  /**
+   * Total estimated bits across all sources
+   * @private
+   * @returns {number} Estimated bits
+   */
+  _getEstimatedBits() {
+    let total = 0;
+    for (const name in this.entropyBits) {
+      total += this.entropyBits[name];
+    }
+    return total;
+  }
+  
+  /**
+   * Start asynchronous timers to collect micro-jitter
+   * @private
+   */
+  _startTimerJitter() {
+    if (!this.headless && this.scheduler.requestAnimationFrame) {
+      // RequestAnimationFrame for high-frequency jitter
+      const rafCollect = () => {
+        if (!this.isCollecting) return;
+        this._collectTimerDelta();
+        this.rafId = this.scheduler.requestAnimationFrame(rafCollect);
+      };
+      this.rafId = this.scheduler.requestAnimationFrame(rafCollect);
+    } else {
+      // No frame loop: sample scheduling latency at a similar rate
+      this._startSchedulerJitter();
+    }
+    
+    // Interval for medium-frequency jitter
+    this.timerId1 = this.scheduler.setInterval(() => {
+      if (this.isCollecting) {
+        this._collectTimerDelta();
+      }
+    }, 100);
+    this._unrefTimer(this.timerId1);
+    
+    // Recursive timeout for variable jitter
+    const recursiveTimeout = () => {
+      if (!this.isCollecting) return;
+      this._collectTimerDelta();
+      const spread = this.crypto.getRandomValues(new Uint8Array(1))[0] / 256;
+      this.timerId2 = this.scheduler.setTimeout(recursiveTimeout, 50 + spread * 50);
+      this._unrefTimer(this.timerId2);
+    };
+    this.timerId2 = this.scheduler.setTimeout(recursiveTimeout, 50);
+    this._unrefTimer(this.timerId2);
+    
+    this._startJitterStreams();
+  }
+  
+  /**
+   * Measure event loop scheduling latency (headless replacement for RAF)
+   * Uses setImmediate + process.hrtime.bigint() in Node.js and
+   * setTimeout(0) + performance.now() in workers (or the injected clock).
+   * @private
+   */
+  _startSchedulerJitter() {
+    const hasHrtime = !this.clock && typeof process !== 'undefined' &&
+                      process.hrtime && typeof process.hrtime.bigint === 'function';
+    const defer = this.scheduler.setImmediate;
+    
+    this.schedulerId = this.scheduler.setInterval(() => {
+      if (!this.isCollecting) return;
+      const scheduledNs = hasHrtime ? process.hrtime.bigint() : null;
+      const scheduledMs = this._now();
+      
+      defer(() => {
+        if (!this.isCollecting) return;
+        const latency = hasHrtime
+          ? Number(process.hrtime.bigint() - scheduledNs)
+          : this._now() - scheduledMs;
+        this._collectTimerDelta(latency);
+      });
+    }, 16);
+    this._unrefTimer(this.schedulerId);
+  }
+  
+  /**
+   * Stop asynchronous timers
+   * @private
+   */
+  _stopTimerJitter() {
+    if (this.timerId1) {
+      this.scheduler.clearInterval(this.timerId1);
+      this.timerId1 = null;
+    }
+    if (this.timerId2) {
+      this.scheduler.clearTimeout(this.timerId2);
+      this.timerId2 = null;
+    }
+    if (this.rafId) {
+      if (this.scheduler.cancelAnimationFrame) {
+        this.scheduler.cancelAnimationFrame(this.rafId);
+      }
+      this.rafId = null;
+    }
+    if (this.schedulerId) {
+      this.scheduler.clearInterval(this.schedulerId);
+      this.schedulerId = null;
+    }
+    
+    this._stopJitterStreams();
+  }
+  
+  /**
+   * Collect time delta between successive reads
+   * @private
+   * @param {number} [latency] - Measured scheduling latency (headless mode)
+   */
+  _collectTimerDelta(latency) {
+    const now = this._now();
+    const delta = now - this.lastTimestamp;
+    this.lastTimestamp = now;
+    const dateNow = this._dateNow();
+    
+    // A clock too coarse to tick during calibration is measured here
+    if (delta > 0 && (this.timerResolution === null || delta < this.timerResolution)) {
+      this.timerResolution = delta;
+    }
+    
+    // Health tests see the jitter, not the wall clock, of a fine clock only
+    if (this._getTimingCredit() === 'full') {
+      const sample = latency !== undefined ? `${delta},${latency}` : String(delta);
+      if (!this._runHealthTests(TIMER_SOURCE, sample, HEALTH_CUTOFFS.timer)) return;
+    }
+    
+    const values = latency !== undefined ? [delta, dateNow, latency] : [delta, dateNow];
+    if (this.fortuna) {
+      this._addFortunaEntropy(values, 'timer');
+      return;
+    }
+    
+    for (let i = 0; i < values.length; i++) {
+      this.timerDeltas.push(values[i]);
+    }
+    
+    // Limit array size
+    if (this.timerDeltas.length > 1000) {
+      this.timerDeltas = this.timerDeltas.slice(-500);
+    }
+    
+    // Timer data can be the last missing pool material
+    if (this._entropyWaiters.length > 0) {
+      this._checkEntropyWaiters();
+    }
+  }
+  
+  /**
+   * Start the auxiliary jitter streams enabled in jitterStreams. Streams
+   * whose primitive is unavailable (no MessageChannel, workers blocked)
+   * are skipped.
+   * @private
+   */
+  _startJitterStreams() {
+    const jitter = this._jitter = { channel: null, worker: null, probes: [] };
+    
+    if (this.jitterStreams.includes('messagechannel') && typeof MessageChannel === 'function') {
+      const channel = new MessageChannel();
+      const probe = this._createRoundTripProbe('messagechannel', () => channel.port1.postMessage(0));
+      channel.port2.onmessage = () => channel.port2.postMessage(0);
+      channel.port1.onmessage = () => probe.onPong();
+      for (const port of [channel.port1, channel.port2]) {
+        if (typeof port.unref === 'function') port.unref();
+      }
+      jitter.channel = channel;
+      jitter.probes.push(probe);
+    }
+    
+    const ping = this.jitterStreams.includes('worker-ping');
+    const cpu = this.jitterStreams.includes('cpu-jitter');
+    if ((ping || cpu) && !this._jitterWorkerFailed) {
+      jitter.worker = this._spawnJitterWorker(cpu);
+      if (jitter.worker && ping) {
+        const handle = jitter.worker;
+        handle.probe = this._createRoundTripProbe('worker-ping', () => handle.worker.postMessage({ ping: true }));
+        jitter.probes.push(handle.probe);
+      }
+    }
+  }
+  
+  /**
+   * Stop the auxiliary jitter streams and release their channel and worker
+   * @private
+   */
+  _stopJitterStreams() {
+    const jitter = this._jitter;
+    if (!jitter) return;
+    this._jitter = null;
+    
+    jitter.probes.forEach(probe => this.scheduler.clearInterval(probe.timer));
+    if (jitter.channel) {
+      jitter.channel.port1.close();
+      jitter.channel.port2.close();
+    }
+    if (jitter.worker) {
+      jitter.worker.worker.terminate();
+      if (jitter.worker.url) {
+        URL.revokeObjectURL(jitter.worker.url);
+      }
+    }
+  }
+  
+  /**
+   * Time bursts of message round trips every JITTER_PROBE_INTERVAL_MS,
+   * doubling the burst while it completes faster than JITTER_MIN_SAMPLE_MS
+   * (a coarse clock would otherwise read 0)
+   * @private
+   * @param {string} name - Stream name
+   * @param {Function} send - Posts one ping; the caller invokes onPong() on each reply
+   * @returns {Object} Probe { onPong, timer }
+   */
+  _createRoundTripProbe(name, send) {
+    const probe = { burst: 1, remaining: 0, start: 0, timer: null };
+    probe.onPong = () => {
+      if (probe.remaining === 0) return;
+      if (--probe.remaining > 0) {
+        send();
+        return;
+      }
+      const latency = this._now() - probe.start;
+      if (latency < JITTER_MIN_SAMPLE_MS && probe.burst < JITTER_MAX_BURST) {
+        probe.burst *= 2;
+        return;
+      }
+      this._recordJitter(name, latency);
+    };
+    probe.timer = this.scheduler.setInterval(() => {
+      // Skip a tick while the previous burst is still in flight
+      if (probe.remaining > 0) return;
+      probe.remaining = probe.burst;
+      probe.start = this._now();
+      send();
+    }, JITTER_PROBE_INTERVAL_MS);
+    this._unrefTimer(probe.timer);
+    return probe;
+  }
+  
+  /**
+   * Start the jitter worker: it answers pings and, when enabled, posts
+   * batches of CPU-jitter samples (see _jitterWorkerSource)
+   * @private
+   * @param {boolean} cpu - Run the CPU-jitter loop
+   * @returns {Object|null} Worker handle, or null when workers are unavailable
+   */
+  _spawnJitterWorker(cpu) {
+    const source = _jitterWorkerSource(cpu);
+    let worker;
+    let url = null;
+    try {
+      if (typeof Worker === 'function' && typeof Blob === 'function' &&
+          typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function') {
+        url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+        worker = new Worker(url);
+      } else if (this.environment === 'node' && typeof require === 'function') {
+        const { Worker: NodeWorker } = require('worker_threads');
+        worker = new NodeWorker(source, { eval: true });
+      } else {
+        return null;
+      }
+    } catch (error) {
+      if (url) URL.revokeObjectURL(url);
+      return null;
+    }
+    
+    const handle = { worker, url, probe: null };
+    const onMessage = (message) => {
+      if (message.pong && handle.probe) {
+        handle.probe.onPong();
+      } else if (message.cpu) {
+        message.cpu.forEach(sample => this._recordJitter('cpu-jitter', sample));
+      }
+    };
+    const onError = (error) => {
+      if (!this._jitter || this._jitter.worker !== handle) return;
+      console.warn(`ntrpRNG: jitter worker failed: ${(error && error.message) || 'unknown error'}. ` +
+                   'Worker jitter streams disabled.');
+      this._jitterWorkerFailed = true;
+      this.scheduler.clearInterval(handle.probe && handle.probe.timer);
+      this._jitter.worker = null;
+      worker.terminate();
+      if (url) URL.revokeObjectURL(url);
+    };
+    
+    if (typeof worker.on === 'function') {
+      worker.on('message', onMessage);
+      worker.on('error', onError);
+      // The jitter worker never keeps a Node.js process alive. Attaching a
+      // 'message' listener refs the worker's port, so unref() comes after it.
+      worker.unref();
+    } else {
+      worker.onmessage = (event) => onMessage(event.data);
+      worker.onerror = (event) => {
+        event.preventDefault();
+        onError(event);
+      };
+    }
+    return handle;
+  }
+  
+  /**
+   * Record one latency sample of an auxiliary jitter stream: health
+   * tests, its buffer (or the Fortuna pools) and its own credit
+   * @private
+   * @param {string} name - Stream name from JITTER_STREAMS
+   * @param {number} latency - Measured duration (ms)
+   */
+  _recordJitter(name, latency) {
+    if (!this.isCollecting || !Number.isFinite(latency)) return;
+    if (!this._runHealthTests(name, String(latency), HEALTH_CUTOFFS.timer)) return;
+    
+    if (this.fortuna) {
+      this._addFortunaEntropy([latency], name);
+    } else {
+      const buffer = this.jitterDeltas[name];
+      buffer.push(latency);
+      if (buffer.length > JITTER_BUFFER_SIZE) {
+        this.jitterDeltas[name] = buffer.slice(-JITTER_BUFFER_SIZE / 2);
+      }
+    }
+    
+    const bits = Math.min(this._estimateJitterBits(name, latency),
+                          JITTER_CREDIT_CAP_BITS - this._getJitterBits());
+    if (bits > 0) {
+      this.entropyBits[name] = (this.entropyBits[name] || 0) + bits;
+      this._notifyProgress();
+    }
+  }
+  
+  /**
+   * Bits currently credited to the auxiliary jitter streams
+   * @private
+   * @returns {number} Credited bits
+   */
+  _getJitterBits() {
+    let total = 0;
+    for (const name of JITTER_STREAMS) {
+      total += this.entropyBits[name] || 0;
+    }
+    return total;
+  }
+  
+  /**
+   * Credit a jitter sample from the most common value of the last
+   * ESTIMATOR_WINDOW samples in timer ticks (SP 800-90B §6.3.1, upper
+   * 99% bound), capped at JITTER_MAX_BITS. A frozen clock earns nothing.
+   * @private
+   * @param {string} name - Stream name
+   * @param {number} latency - Measured duration (ms)
+   * @returns {number} Credited bits
+   */
+  _estimateJitterBits(name, latency) {
+    if (this.timerResolution === null) return 0;
+    let state = this.estimatorState[name];
+    if (!state) {
+      state = this.estimatorState[name] = { values: [], counts: {} };
+    }
+    
+    const unit = Math.max(TIMER_MIN_RESOLUTION_MS, this.timerResolution);
+    const ticks = Math.round(latency / unit);
+    state.values.push(ticks);
+    state.counts[ticks] = (state.counts[ticks] || 0) + 1;
+    if (state.values.length > ESTIMATOR_WINDOW) {
+      state.counts[state.values.shift()]--;
+    }
+    
+    const n = state.values.length;
+    if (n < ESTIMATOR_WARMUP) return 0;
+    
+    let maxCount = 0;
+    for (const key in state.counts) {
+      maxCount = Math.max(maxCount, state.counts[key]);
+    }
+    const p = maxCount / n;
+    const upper = Math.min(1, p + 2.576 * Math.sqrt(p * (1 - p) / (n - 1)));
+    return Math.min(JITTER_MAX_BITS, -Math.log2(upper));
+  }
+  
+  /**
+   * Build empty sample buffers, one per enabled jitter stream
+   * @private
+   * @returns {Object} Buffers keyed by stream name
+   */
+  _createJitterBuffers() {
+    const buffers = {};
+    for (const name of this.jitterStreams) {
+      buffers[name] = [];
+    }
+    return buffers;
+  }
+  
+  /**
+   * Handler for mousemove event (weight: 1)
+   * @private
+   */
+  _onMouseMove(e, suspicion = null) {
+    return this._recordSourceEvent('mousemove', [
+      this._now(),
+      e.clientX,
+      e.clientY,
+      e.movementX || 0,
+      e.movementY || 0,
+      e.screenX,
+      e.screenY
+    ], suspicion);
+  }
+  
+  /**
+   * Handler for mousedown event (weight: 2)
+   * @private
+   */
+  _onMouseDown(e, suspicion = null) {
+    return this._recordSourceEvent('mousedown', [
+      this._now(),
+      e.clientX,
+      e.clientY,
+      e.button,
+      e.buttons
+    ], suspicion);
+  }
+  
+  /**
+   * Handler for keydown event (weight: 3)
+   * @private
+   */
+  _onKeyDown(e, suspicion = null) {
+    return this._recordSourceEvent('keydown', [
+      this._now(),
+      e.keyCode,
+      e.which,
+      e.repeat ? 1 : 0
+    ], suspicion);
+  }
+  
+  /**
+   * Handler for touchstart event (weight: 2)
+   * @private
+   */
+  _onTouchStart(e, suspicion = null) {
+    const touches = e.touches || [];
+    const values = [];
+    for (let i = 0; i < touches.length; i++) {
+      const touch = touches[i];
+      values.push(
+        this._now(),
+        touch.clientX,
+        touch.clientY,
+        touch.force || 0,
+        touch.radiusX || 0,
+        touch.radiusY || 0
+      );
+    }
+    return this._recordSourceEvent('touchstart', values, suspicion);
+  }
+  
+  /**
+   * Handler for touchmove event (weight: 1)
+   * @private
+   */
+  _onTouchMove(e, suspicion = null) {
+    const touches = e.touches || [];
+    const values = [];
+    for (let i = 0; i < touches.length; i++) {
+      const touch = touches[i];
+      values.push(
+        this._now(),
+        touch.clientX,
+        touch.clientY
+      );
+    }
+    return this._recordSourceEvent('touchmove', values, suspicion);
+  }
+  
+  /**
+   * Handler for scroll event (weight: 1)
+   * @private
+   */
+  _onScroll(e, suspicion = null) {
+    // Injected scroll events carry their own viewport values
+    const view = this.headless ? (e || {}) : window;
+    return this._recordSourceEvent('scroll', [
+      this._now(),
+      view.scrollX || 0,
+      view.scrollY || 0,
+      view.innerWidth || 0,
+      view.innerHeight || 0
+    ], suspicion);
+  }
+  
+  /**
+   * Handler for devicemotion event (weight: 2)
+   * @private
+   */
+  _onDeviceMotion(e, suspicion = null) {
+    if (e.accelerationIncludingGravity) {
+      return this._recordSourceEvent('devicemotion', [
+        this._now(),
+        e.accelerationIncludingGravity.x || 0,
+        e.accelerationIncludingGravity.y || 0,
+        e.accelerationIncludingGravity.z || 0,
+        e.rotationRate ? e.rotationRate.alpha || 0 : 0,
+        e.rotationRate ? e.rotationRate.beta || 0 : 0,
+        e.rotationRate ? e.rotationRate.gamma || 0 : 0
+      ], suspicion);
+    }
+    return false;
+  }
+  
+  /**
+   * Feed an input event collected outside the DOM (headless mode,
+   * server-side tooling, tests). The event object must carry the same
+   * fields the corresponding DOM event would (clientX, keyCode, ...).
+   * Outside headless mode any page script could call this, so with
+   * botDetection on the events are pooled but earn no credit (counted as
+   * 'untrusted'); in headless mode the caller vouches for them.
+   * @param {string} type - Event type (mousemove, mousedown, keydown,
+   *                        touchstart, touchmove, scroll, devicemotion)
+   * @param {Object} event - Event-like object
+   * @returns {boolean} True if the event was recorded (false while stopped
+   *                    or when the source is disabled)
+   * @throws {Error} If the event type is unknown
+   */
+  injectEvent(type, event = {}) {
+    const handler = this.handlers[type];
+    if (!handler) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+    // A script-built event is untrusted however human its pattern looks
+    const verdict = this.headless || !this.botDetection ? null : 'untrusted';
+    return handler(event, verdict) === true;
+  }
+  
+  /**
+   * Add values to entropy pool
+   * @private
+   * @param {Array<number>} values - Array of numeric values
+   * @param {string} [sourceName] - Originating source (Fortuna pool distribution)
+   */
+  _addEntropy(values, sourceName = 'unknown') {
+    if (this.fortuna) {
+      this._addFortunaEntropy(values, sourceName);
+      return;
+    }
+    
+    // Direct push instead of spread for performance
+    for (let i = 0; i < values.length; i++) {
+      this.entropyPool.push(values[i]);
+    }
+    
+    // Limit pool size
+    if (this.entropyPool.length > 5000) {
+      this.entropyPool = this.entropyPool.slice(-2500);
+    }
+  }
+  
+  /**
+   * Create empty Fortuna accumulator state
+   * @private
+   * @returns {Object} Accumulator state
+   */
+  _createFortunaState() {
+    const pools = [];
+    for (let i = 0; i < FORTUNA_POOLS; i++) {
+      pools.push(this._createFortunaPool(0));
+    }
+    
+    return {
+      pools,
+      key: new Uint8Array(32),
+      counter: 0,
+      reseedCount: 0,
+      lastReseed: null,
+      sourceIndex: {}
+    };
+  }
+  
+  /**
+   * Create an empty Fortuna pool
+   * @private
+   * @param {number} reseeds - Times this pool slot has been drained
+   * @returns {Object} Pool
+   */
+  _createFortunaPool(reseeds) {
+    return {
+      pending: [],
+      digest: null,
+      folding: null,
+      size: 0,
+      reseeds
+    };
+  }
+  
+  /**
+   * Append values to the next pool of this source's round-robin
+   * @private
+   * @param {Array<number>} values - Sample values
+   * @param {string} sourceName - Originating source
+   */
+  _addFortunaEntropy(values, sourceName) {
+    const fortuna = this.fortuna;
+    const index = fortuna.sourceIndex[sourceName] || 0;
+    fortuna.sourceIndex[sourceName] = (index + 1) % FORTUNA_POOLS;
+    
+    const pool = fortuna.pools[index];
+    for (let i = 0; i < values.length; i++) {
+      pool.pending.push(values[i]);
+    }
+    pool.size += values.length * 8;
+    
+    if (pool.pending.length > FORTUNA_FOLD_THRESHOLD) {
+      this._foldFortunaPool(pool);
+    }
+  }
+  
+  /**
+   * Fold a pool's pending values into its running SHA-256 digest
+   * Pending values are snapshotted synchronously; folds are chained so
+   * they apply in order.
+   * @private
+   * @param {Object} pool - Fortuna pool
+   */
+  _foldFortunaPool(pool) {
+    const bytes = this._serializeFloats(pool.pending);
+    pool.pending = [];
+    
+    const previous = pool.folding || Promise.resolve();
+    pool.folding = previous.then(async () => {
+      const prefix = pool.digest || new Uint8Array(0);
+      const input = new Uint8Array(prefix.length + bytes.length);
+      input.set(prefix, 0);
+      input.set(bytes, prefix.length);
+      pool.digest = new Uint8Array(await this.crypto.subtle.digest('SHA-256', input));
+    });
+  }
+  
+  /**
+   * Reseed the Fortuna generator if due
+   * Reseed r draws pool i when 2^i divides r, so higher pools accumulate
+   * longer and eventually out-pace an attacker who knows the state.
+   * Drawn pools are detached synchronously and replaced with empty ones.
+   * @private
+   * @returns {Promise<boolean>} True if a reseed happened
+   */
+  async _fortunaReseed() {
+    const fortuna = this.fortuna;
+    const now = this._now();
+    const seeded = fortuna.reseedCount > 0;
+    const due = fortuna.pools[0].size >= FORTUNA_MIN_POOL_SIZE &&
+                (fortuna.lastReseed === null || now - fortuna.lastReseed >= FORTUNA_RESEED_INTERVAL);
+    if (seeded && !due) return false;
+    
+    fortuna.reseedCount++;
+    fortuna.lastReseed = now;
+    
+    const drained = [];
+    for (let i = 0; i < FORTUNA_POOLS; i++) {
+      if (fortuna.reseedCount % Math.pow(2, i) !== 0) break;
+      const pool = fortuna.pools[i];
+      fortuna.pools[i] = this._createFortunaPool(pool.reseeds + 1);
+      this._foldFortunaPool(pool);
+      drained.push(pool);
+    }
+    
+    // K = SHA-256(SHA-256(K || H(P0) || H(P1) || ...))
+    const input = new Uint8Array(32 + drained.length * 32);
+    input.set(fortuna.key, 0);
+    for (let i = 0; i < drained.length; i++) {
+      await drained[i].folding;
+      input.set(drained[i].digest, 32 + i * 32);
+    }
+    const inner = await this.crypto.subtle.digest('SHA-256', input);
+    fortuna.key = new Uint8Array(await this.crypto.subtle.digest('SHA-256', inner));
+    fortuna.counter++;
+    return true;
+  }
+  
+  /**
+   * Generate bytes from the Fortuna generator and rekey it
+   * Blocks are SHA-256(K || C); the key is replaced after every request
+   * so earlier output cannot be recovered from the current state.
+   * @private
+   * @param {number} length - Bytes to produce
+   * @returns {Promise<Uint8Array>} Generator output
+   */
+  async _fortunaGenerate(length) {
+    const fortuna = this.fortuna;
+    const blocks = Math.ceil(length / 32) + 1;
+    const output = new Uint8Array(blocks * 32);
+    const input = new Uint8Array(40);
+    const view = new DataView(input.buffer);
+    
+    for (let i = 0; i < blocks; i++) {
+      input.set(fortuna.key, 0);
+      view.setFloat64(32, fortuna.counter++, false);
+      output.set(new Uint8Array(await this.crypto.subtle.digest('SHA-256', input)), i * 32);
+    }
+    
+    // Last block becomes the new key
+    fortuna.key = output.slice((blocks - 1) * 32);
+    return output.slice(0, length);
+  }
+  
+  /**
+   * Fortuna variant of combineEntropy(): reseed if due, then draw
+   * 64 bytes from the generator in place of the pool digests
+   * @private
+   * @param {Uint8Array} salt - Salt to include
+   * @returns {Promise<Uint8Array>} Combined input
+   */
+  async _combineFortuna(salt) {
+    await this._fortunaReseed();
+    const generated = await this._fortunaGenerate(64);
+    
+    const combined = new Uint8Array(generated.length + salt.length);
+    combined.set(generated, 0);
+    combined.set(salt, generated.length);
+    return combined;
+  }
+  
+  /**
+   * Whether there is pool material to derive a seed from
+   * @private
+   * @returns {boolean} True if material is available
+   */
+  _hasPoolMaterial() {
+    if (this.fortuna) {
+      return this.fortuna.reseedCount > 0 ||
+             this.fortuna.pools.some(pool => pool.size > 0);
+    }
+    
+    // A carried pool state stands in for raw data consumed by a previous seed
+    return (this.entropyPool.length > 0 || this.poolState !== null) &&
+           (this.timerDeltas.length > 0 || this.poolState !== null);
+  }
+  
+  /**
+   * Generate random salt using crypto.getRandomValues
+   * @returns {Uint8Array} Random salt
+   */
+  generateSalt() {
+    const salt = new Uint8Array(this.saltSize);
+    this.crypto.getRandomValues(salt);
+    return salt;
+  }
+  
+  /**
+   * Serialize float array to bytes using DataView (big-endian)
+   * @private
+   * @param {Array<number>} floatArray - Array of floats
+   * @returns {Uint8Array} Serialized bytes
+   */
+  _serializeFloats(floatArray) {
+    const buffer = new ArrayBuffer(floatArray.length * 8);
+    const view = new DataView(buffer);
+    
+    for (let i = 0; i < floatArray.length; i++) {
+      view.setFloat64(i * 8, floatArray[i], false); // false = big-endian
+    }
+    
+    return new Uint8Array(buffer);
+  }
+  
+  /**
+   * Combine behavioral entropy, timers, and salt
+   * Pre-hashes entropy pools to avoid IEEE 754 pattern repetition artifacts.
+   * The ratcheted state left by the previous seed is prepended to the
+   * behavioral pool so unspent entropy carries forward.
+   * Pools are read synchronously, before the first await.
+   * @param {Uint8Array} salt - Salt to include
+   * @returns {Promise<Uint8Array>} Combined input
+   */
+  async combineEntropy(salt) {
+    if (this.fortuna) {
+      return this._combineFortuna(salt);
+    }
+    
+    const { entropyBytes, timerBytes } = this._snapshotPools();
+    return this._combineDigests(entropyBytes, timerBytes, salt);
+  }
+  
+  /**
+   * Serialize the behavioral and timer pools to deterministic byte
+   * representations, prepending the ratcheted state to the behavioral pool
+   * @private
+   * @returns {{entropyBytes: Uint8Array, timerBytes: Uint8Array}} Fresh buffers
+   */
+  _snapshotPools() {
+    const poolBytes = this._serializeFloats(this.entropyPool);
+    const timerBytes = this._serializeFloats(
+      this.timerDeltas.concat(...this.jitterStreams.map(name => this.jitterDeltas[name]))
+    );
+    
+    let entropyBytes = poolBytes;
+    if (this.poolState) {
+      entropyBytes = new Uint8Array(this.poolState.length + poolBytes.length);
+      entropyBytes.set(this.poolState, 0);
+      entropyBytes.set(poolBytes, this.poolState.length);
+    }
+    
+    return { entropyBytes, timerBytes };
+  }
+  
+  /**
+   * Pre-hash the serialized pools and append the salt
+   * @private
+   * @param {Uint8Array} entropyBytes - Serialized behavioral pool
+   * @param {Uint8Array} timerBytes - Serialized timer pool
+   * @param {Uint8Array} salt - Salt to include
+   * @returns {Promise<Uint8Array>} entropyHash || timerHash || salt
+   */
+  async _combineDigests(entropyBytes, timerBytes, salt) {
+    // Pre-hash each entropy source with SHA-256
+    const entropyHashBuffer = await this.crypto.subtle.digest('SHA-256', entropyBytes);
+    const entropyHash = new Uint8Array(entropyHashBuffer);
+    
+    const timerHashBuffer = await this.crypto.subtle.digest('SHA-256', timerBytes);
+    const timerHash = new Uint8Array(timerHashBuffer);
+    
+    // Combine both 32-byte digests with salt
+    const totalLength = entropyHash.length + timerHash.length + salt.length;
+    const combined = new Uint8Array(totalLength);
+    
+    let offset = 0;
+    combined.set(entropyHash, offset);
+    offset += entropyHash.length;
+    combined.set(timerHash, offset);
+    offset += timerHash.length;
+    combined.set(salt, offset);
+    
+    return combined;
+  }
+  
+  /**
+   * Consume the behavioral entropy that went into a seed
+   * Raw pools are discarded and the credited balance is debited by one
+   * seed's worth (500 weighted events, REQUIRED_ENTROPY_BITS bits),
+   * scaled proportionally across groups/sources.
+   * @private
+   */
+  _consumeEntropy() {
+    this.entropyPool = [];
+    this.timerDeltas = [];
+    this.jitterDeltas = this._createJitterBuffers();
+    
+    const totalEvents = this._getWeightedEventCount();
+    const eventFactor = totalEvents > 0
+      ? Math.max(0, totalEvents - REQUIRED_MIN_EVENTS) / totalEvents
+      : 0;
+    for (const group in this.eventCount) {
+      this.eventCount[group] = Math.floor(this.eventCount[group] * eventFactor);
+    }
+    for (const name in this.sourceEvents) {
+      this.sourceEvents[name] *= eventFactor;
+    }
+    
+    const totalBits = this._getEstimatedBits();
+    const bitsFactor = totalBits > 0
+      ? Math.max(0, totalBits - REQUIRED_ENTROPY_BITS) / totalBits
+      : 0;
+    for (const name in this.entropyBits) {
+      this.entropyBits[name] *= bitsFactor;
+    }
+    this._notifyProgress();
+  }
+  
+  /**
+   * Fold the pools of a failed seed into the carried pool state
+   * _consumeEntropy() emptied them before the pipeline ran; without this the
+   * credit it left would no longer be backed by any pool material. If the
+   * fold fails as well, that credit is dropped instead.
+   * @private
+   * @param {Object} job - Pipeline input of the failed seed
+   */
+  async _restoreConsumedPools(job) {
+    try {
+      const combined = await this._combineDigests(job.entropyBytes, job.timerBytes, job.salt);
+      this.poolState = await this._ratchetPoolState(combined.subarray(0, 64));
+    } catch (error) {
+      this.eventCount = this._createEventCount();
+      this.entropyBits = {};
+      this.sourceEvents = {};
+      this._notifyProgress();
+    }
+  }
+  
+  /**
+   * Ratchet the carried pool state forward
+   * The new state is a one-way, domain-separated hash of the pool digests,
+   * so neither past pools nor past seeds can be reconstructed from it.
+   * @private
+   * @param {Uint8Array} poolDigests - entropyHash || timerHash (64 bytes)
+   * @returns {Promise<Uint8Array>} New pool state (64 bytes)
+   */
+  async _ratchetPoolState(poolDigests) {
+    const label = new TextEncoder().encode('ntrpRNG pool ratchet v1');
+    const input = new Uint8Array(label.length + poolDigests.length);
+    input.set(label, 0);
+    input.set(poolDigests, label.length);
+    
+    const stateBuffer = await this.crypto.subtle.digest('SHA-512', input);
+    return new Uint8Array(stateBuffer);
+  }
+  
+  /**
+   * Resolve the seedFile option to a persistence config
+   * @private
+   * @param {boolean|string|Object} [option] - options.seedFile
+   * @returns {Object|null} { backend, location, key, loaded, stores, error }, or
+   *                        null when disabled or no storage is available
+   * @throws {Error} If the key is not 32 bytes
+   */
+  _resolveSeedFile(option) {
+    if (!option) return null;
+    const config = typeof option === 'object' ? option : {};
+    
+    let backend;
+    if (this.environment === 'node' && typeof require === 'function') {
+      backend = 'file';
+    } else if (typeof indexedDB !== 'undefined') {
+      backend = 'indexeddb';
+    } else {
+      console.warn('ntrpRNG: seedFile ignored: neither IndexedDB nor a file system is available.');
+      return null;
+    }
+    
+    let location = typeof option === 'string' ? option : config.location;
+    if (!location) {
+      location = backend === 'file'
+        ? require('path').join(require('os').homedir(), SEED_FILE_DEFAULT_NAME)
+        : 'default';
+    }
+    
+    let key = null;
+    if (config.key !== undefined) {
+      key = typeof config.key === 'string' ? CODECS.hex.decode(config.key) : config.key;
+      if (!(key instanceof Uint8Array) || key.length !== 32) {
+        throw new Error('seedFile.key must be 32 bytes (Uint8Array or hex string)');
+      }
+    }
+    return { backend, location, key, loaded: false, stores: 0, error: null };
+  }
+  
+  /**
+   * Claim the stored carry-over seed, write its rotated successor and
+   * mix a derived value into the pool as the 'seed-file' source
+   * Claiming removes the record atomically (IndexedDB read-and-delete
+   * transaction, file rename), so concurrent instances never mix the same
+   * value and a stored value is used at most once. Failures are logged.
+   * @private
+   * @returns {Promise<void>} Never rejects
+   */
+  async _loadSeedFile() {
+    try {
+      const record = await this._claimSeedFile();
+      if (!record) return;
+      
+      let carry;
+      try {
+        carry = await this._openSeedFileRecord(record);
+      } catch (error) {
+        throw new Error('could not be decrypted (wrong or lost key); the next seed replaces it');
+      }
+      
+      // Fresh CSPRNG bytes keep the successor unpredictable from the old value
+      const fresh = this.crypto.getRandomValues(new Uint8Array(32));
+      const successor = await this._deriveSeedFileValue(this._concatBytes(carry, fresh), 'rotate');
+      await this._writeSeedFile(await this._sealSeedFile(successor));
+      
+      const contribution = await this._deriveSeedFileValue(carry, 'mix');
+      this._addEntropy(Array.from(contribution), SEED_FILE_SOURCE);
+      this.entropyBits[SEED_FILE_SOURCE] = (this.entropyBits[SEED_FILE_SOURCE] || 0) + SEED_FILE_CREDIT_BITS;
+      this.seedFile.loaded = true;
+      this._notifyProgress();
+    } catch (error) {
+      this._seedFileFailed(`could not be loaded: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Persist a carry-over seed derived one-way from material that never
+   * leaves the instance: fresh CSPRNG bytes and the ratcheted pool state
+   * (or the Fortuna generator key). The returned seed is not used, so
+   * revealing it reveals nothing about the next session's input.
+   * @private
+   * @returns {Promise<void>} Never rejects
+   */
+  async _storeSeedFile() {
+    try {
+      const state = this.poolState || (this.fortuna && this.fortuna.key) || new Uint8Array(0);
+      const fresh = this.crypto.getRandomValues(new Uint8Array(32));
+      const carry = await this._deriveSeedFileValue(this._concatBytes(fresh, state), 'store');
+      await this._writeSeedFile(await this._sealSeedFile(carry));
+      this.seedFile.stores++;
+    } catch (error) {
+      this._seedFileFailed(`could not be saved: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Record and log a seed file failure
+   * @private
+   * @param {string} message - Failure description
+   */
+  _seedFileFailed(message) {
+    this.seedFile.error = message;
+    console.warn(`ntrpRNG: seed file ${message}`);
+  }
+  
+  /**
+   * Domain-separated SHA-256 of seed file material
+   * @private
+   * @param {Uint8Array} bytes - Input
+   * @param {string} purpose - 'store', 'rotate' or 'mix'
+   * @returns {Promise<Uint8Array>} 32 bytes
+   */
+  async _deriveSeedFileValue(bytes, purpose) {
+    const label = new TextEncoder().encode(`${SEED_FILE_LABEL} ${purpose}`);
+    const digest = await this.crypto.subtle.digest('SHA-256', this._concatBytes(label, bytes));
+    return new Uint8Array(digest);
+  }
+  
+  /**
+   * Encrypt a carry-over seed (AES-256-GCM, label as additional data)
+   * @private
+   * @param {Uint8Array} carry - Carry-over seed
+   * @returns {Promise<Object>} Record { version, iv, data }
+   */
+  async _sealSeedFile(carry) {
+    const key = await this._getSeedFileKey();
+    const iv = this.crypto.getRandomValues(new Uint8Array(12));
+    const additionalData = new TextEncoder().encode(SEED_FILE_LABEL);
+    const data = await this.crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData }, key, carry);
+    return { version: 1, iv, data: new Uint8Array(data) };
+  }
+  
+  /**
+   * Decrypt a stored record
+   * @private
+   * @param {Object} record - { version, iv, data }
+   * @returns {Promise<Uint8Array>} Carry-over seed
+   * @throws {Error} If authentication fails
+   */
+  async _openSeedFileRecord(record) {
+    const key = await this._getSeedFileKey();
+    const additionalData = new TextEncoder().encode(SEED_FILE_LABEL);
+    const carry = await this.crypto.subtle.decrypt({ name: 'AES-GCM', iv: record.iv, additionalData }, key, record.data);
+    return new Uint8Array(carry);
+  }
+  
+  /**
+   * Seed file encryption key, loaded or created once per instance:
+   * the configured key, a 0600 key file next to the seed file (Node.js),
+   * or a non-extractable CryptoKey kept in IndexedDB
+   * @private
+   * @returns {Promise<CryptoKey>} AES-GCM key
+   */
+  _getSeedFileKey() {
+    if (!this._seedFileKey) {
+      this._seedFileKey = this._loadSeedFileKey().catch(error => {
+        this._seedFileKey = null;
+        throw error;
+      });
+    }
+    return this._seedFileKey;
+  }
+  
+  /**
+   * Load or create the seed file key (see _getSeedFileKey)
+   * @private
+   * @returns {Promise<CryptoKey>} AES-GCM key
+   */
+  async _loadSeedFileKey() {
+    const { backend, location, key } = this.seedFile;
+    const usages = ['encrypt', 'decrypt'];
+    if (key) {
+      return this.crypto.subtle.importKey('raw', key, 'AES-GCM', false, usages);
+    }
+    
+    if (backend === 'file') {
+      const fs = require('fs').promises;
+      const keyPath = `${location}.key`;
+      let raw;
+      try {
+        raw = await fs.readFile(keyPath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        raw = this.crypto.getRandomValues(new Uint8Array(32));
+        try {
+          await fs.writeFile(keyPath, raw, { mode: 0o600, flag: 'wx' });
+        } catch (writeError) {
+          // Another process created the key first
+          if (writeError.code !== 'EEXIST') throw writeError;
+          raw = await fs.readFile(keyPath);
+        }
+      }
+      if (raw.length !== 32) {
+        throw new Error(`invalid key file ${keyPath}`);
+      }
+      return this.crypto.subtle.importKey('raw', new Uint8Array(raw), 'AES-GCM', false, usages);
+    }
+    
+    const keyName = `${location}:key`;
+    const stored = await this._seedFileRequest('readonly', store => store.get(keyName));
+    if (stored) return stored;
+    const generated = await this.crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, usages);
+    try {
+      await this._seedFileRequest('readwrite', store => store.add(generated, keyName));
+      return generated;
+    } catch (error) {
+      // Another tab stored its key first
+      const winner = await this._seedFileRequest('readonly', store => store.get(keyName));
+      if (!winner) throw error;
+      return winner;
+    }
+  }
+  
+  /**
+   * Atomically take the stored record
+   * @private
+   * @returns {Promise<Object|null>} Record, or null if none is stored
+   */
+  async _claimSeedFile() {
+    const { backend, location } = this.seedFile;
+    if (backend === 'indexeddb') {
+      const record = await this._seedFileRequest('readwrite', store => {
+        const request = store.get(location);
+        store.delete(location);
+        return request;
+      });
+      return record || null;
+    }
+    
+    const fs = require('fs').promises;
+    const claimed = `${location}.${CODECS.hex.encode(this.crypto.getRandomValues(new Uint8Array(8)))}.claim`;
+    try {
+      await fs.rename(location, claimed);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    try {
+      const { version, iv, data } = JSON.parse(await fs.readFile(claimed, 'utf8'));
+      return { version, iv: CODECS.hex.decode(iv), data: CODECS.hex.decode(data) };
+    } finally {
+      await fs.unlink(claimed).catch(() => {});
+    }
+  }
+  
+  /**
+   * Store a record, replacing the current one (atomic rename for files)
+   * @private
+   * @param {Object} record - { version, iv, data }
+   */
+  async _writeSeedFile(record) {
+    const { backend, location } = this.seedFile;
+    if (backend === 'indexeddb') {
+      await this._seedFileRequest('readwrite', store => store.put(record, location));
+      return;
+    }
+    
+    const fs = require('fs').promises;
+    const temporary = `${location}.${CODECS.hex.encode(this.crypto.getRandomValues(new Uint8Array(8)))}.tmp`;
+    const json = JSON.stringify({
+      version: record.version,
+      iv: CODECS.hex.encode(record.iv),
+      data: CODECS.hex.encode(record.data)
+    });
+    await fs.writeFile(temporary, json, { mode: 0o600 });
+    await fs.rename(temporary, location);
+  }
+  
+  /**
+   * Run requests in one transaction on the seed file object store
+   * @private
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - (store) => IDBRequest whose result is returned
+   * @returns {Promise<*>} Request result, once the transaction has committed
+   */
+  async _seedFileRequest(mode, operation) {
+    if (!this._seedFileDb) {
+      this._seedFileDb = new Promise((resolve, reject) => {
+        const request = indexedDB.open(SEED_FILE_DB, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(SEED_FILE_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    const db = await this._seedFileDb;
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(SEED_FILE_STORE, mode);
+      const request = operation(transaction.objectStore(SEED_FILE_STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+  }
+  
+  /**
+   * Run seed generations one at a time
+   * Each generation consumes the pool left by the previous one.
+   * @private
+   * @param {Function} task - Async task
+   * @param {string} [queue='_seedQueue'] - Queue property to chain on
+   * @returns {Promise<*>} Task result
+   */
+  _runExclusive(task, queue = '_seedQueue') {
+    const run = this[queue].then(task);
+    this[queue] = run.catch(() => {});
+    return run;
+  }
+  
+  /**
+   * Path A stretching stage for the configured pipeline version
+   * v1 chains `iterations` awaited SHA-256 and SHA-512 digests. v2 runs
+   * PBKDF2-HMAC-SHA-256 and -SHA-512 with the same iteration count in
+   * parallel inside Web Crypto (two HMACs per iteration), salted with
+   * the seed salt and a version label. A native PBKDF2 call cannot be
+   * interrupted, so v2 reports and honours aborts only around it.
+   * @private
+   * @param {Uint8Array} preHash - SHA-256 of the combined entropy
+   * @param {Uint8Array} salt - Seed salt
+   * @param {Object} [control={}] - { signal, onProgress }
+   * @returns {Promise<Array<Uint8Array>>} [32-byte SHA-256 result, 64-byte SHA-512 result]
+   */
+  async _stretch(preHash, salt, control = {}) {
+    if (this.pipeline === 'v1') {
+      const hash256 = await this._iterativeHash(preHash, 'SHA-256', this.iterations, control, 'pathA-sha256');
+      const hash512 = await this._iterativeHash(preHash, 'SHA-512', this.iterations, control, 'pathA-sha512');
+      return [hash256, hash512];
+    }
+    
+    const key = await this.crypto.subtle.importKey('raw', preHash, 'PBKDF2', false, ['deriveBits']);
+    const pbkdf2Salt = this._concatBytes(new TextEncoder().encode(PIPELINE_V2_LABEL), salt);
+    const derive = async (hash, bits, stage) => {
+      this._throwIfAborted(control.signal);
+      this._reportProgress(control, stage, 0, this.iterations);
+      const derived = new Uint8Array(await this.crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash, salt: pbkdf2Salt, iterations: this.iterations }, key, bits
+      ));
+      this._throwIfAborted(control.signal);
+      this._reportProgress(control, stage, this.iterations, this.iterations);
+      return derived;
+    };
+    
+    return Promise.all([
+      derive('SHA-256', 256, 'pathA-sha256'),
+      derive('SHA-512', 512, 'pathA-sha512')
+    ]);
+  }
+  
+  /**
+   * Perform iterative hashing with async batching
+   * Cancellation is checked and progress reported between batches.
+   * @private
+   * @param {Uint8Array} data - Data to hash
+   * @param {string} algorithm - Algorithm ('SHA-256' or 'SHA-512')
+   * @param {number} iterations - Number of iterations
+   * @param {Object} [control={}] - { signal, onProgress }
+   * @param {string} [stage] - Stage name for progress reports
+   * @returns {Promise<Uint8Array>} Resulting hash
+   */
+  async _iterativeHash(data, algorithm, iterations, control = {}, stage = algorithm) {
+    let hash = data;
+    const batchSize = 100;
+    
+    this._throwIfAborted(control.signal);
+    this._reportProgress(control, stage, 0, iterations);
+    
+    for (let i = 0; i < iterations; i++) {
+      const hashBuffer = await this.crypto.subtle.digest(algorithm, hash);
+      hash = new Uint8Array(hashBuffer);
+      
+      // Yield control after each batch
+      if ((i + 1) % batchSize === 0 || i + 1 === iterations) {
+        this._throwIfAborted(control.signal);
+        this._reportProgress(control, stage, i + 1, iterations);
+        if (i + 1 < iterations) {
+          await new Promise(resolve => this.scheduler.setTimeout(resolve, 0));
+        }
+      }
+    }
+    
+    return hash;
+  }
+  
+  /**
+   * Perform XOR between two Uint8Arrays (truncates to shorter length)
+   * @private
+   * @param {Uint8Array} a - First array
+   * @param {Uint8Array} b - Second array
+   * @returns {Uint8Array} XOR result
+   */
+  _xorArrays(a, b) {
+    const minLength = Math.min(a.length, b.length);
+    const result = new Uint8Array(minLength);
+    
+    for (let i = 0; i < minLength; i++) {
+      result[i] = a[i] ^ b[i];
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Truncate SHA-512 to 32 bytes
+   * @private
+   * @param {Uint8Array} hash512 - SHA-512 hash (64 bytes)
+   * @returns {Uint8Array} Truncated hash (32 bytes)
+   */
+  _truncate512(hash512) {
+    return hash512.slice(0, 32);
+  }
+  
+  /**
+   * Run the known-answer self-test (also run at construction)
+   * Checks SHA-256/SHA-512 against FIPS 180-2 vectors, both seed pipelines
+   * against fixed inputs, _serializeFloats() and _xorArrays(), and that
+   * crypto.getRandomValues() returns neither constant nor repeated blocks.
+   * While the latest run has failed, generateSeed() rejects with
+   * SelfTestError; a later passing run lifts the refusal.
+   * @returns {Promise<Object>} { passed, checks: { [name]: { passed, error?, skipped? } },
+   *                            failures, timestamp }
+   */
+  selfTest() {
+    const run = this._runSelfTest().then(result => {
+      this.selfTestResult = result;
+      if (!result.passed) {
+        console.warn(`ntrpRNG: self-test failed (${result.failures.join(', ')}). Seed generation disabled.`);
+        this._emit('health-failure', { test: 'self-test', failures: result.failures });
+      }
+      return result;
+    });
+    this._selfTestRun = run;
+    return run;
+  }
+  
+  /**
+   * Wait for the latest self-test and refuse output if it failed
+   * @private
+   * @returns {Promise<void>}
+   * @throws {SelfTestError} If the latest self-test failed
+   */
+  async _assertSelfTest() {
+    const result = await this._selfTestRun;
+    if (!result.passed) {
+      throw new SelfTestError(result);
+    }
+  }
+  
+  /**
+   * Run every self-test check; a throwing check counts as failed
+   * @private
+   * @returns {Promise<Object>} Self-test result (see selfTest)
+   */
+  async _runSelfTest() {
+    const checks = {
+      sha256: () => this._selfTestDigest('SHA-256', SELF_TEST_VECTORS.sha256),
+      sha512: () => this._selfTestDigest('SHA-512', SELF_TEST_VECTORS.sha512),
+      pipelineV1: () => this._selfTestPipeline('v1'),
+      pipelineV2: () => this._selfTestPipeline('v2'),
+      serializeFloats: () => this.toHex(this._serializeFloats([1, -2.5, 0.1])) === SELF_TEST_VECTORS.serializeFloats,
+      xorArrays: () => this.toHex(this._xorArrays(
+        new Uint8Array([0x0f, 0xf0, 0xaa]), new Uint8Array([0xff, 0x0f])
+      )) === SELF_TEST_VECTORS.xorArrays,
+      randomValues: () => this._selfTestRandomValues()
+    };
+    
+    const results = {};
+    for (const name in checks) {
+      try {
+        const outcome = await checks[name]();
+        results[name] = typeof outcome === 'object' ? outcome : { passed: outcome === true };
+      } catch (error) {
+        results[name] = { passed: false, error: (error && error.message) || String(error) };
+      }
+    }
+    
+    const failures = Object.keys(results).filter(name => !results[name].passed);
+    return { passed: failures.length === 0, checks: results, failures, timestamp: Date.now() };
+  }
+  
+  /**
+   * Digest known-answer test
+   * @private
+   * @param {string} algorithm - 'SHA-256' or 'SHA-512'
+   * @param {Array<Array<string>>} vectors - [message, expected hex] pairs
+   * @returns {Promise<boolean>} True if every digest matches
+   */
+  async _selfTestDigest(algorithm, vectors) {
+    const encoder = new TextEncoder();
+    for (const [message, expected] of vectors) {
+      const digest = new Uint8Array(await this.crypto.subtle.digest(algorithm, encoder.encode(message)));
+      if (this.toHex(digest) !== expected) return false;
+    }
+    return true;
+  }
+  
+  /**
+   * Full-pipeline known-answer test: runs _derivePipelineSeed() on fixed
+   * pools, salt and Path B bytes through a view of this instance, so
+   * neither its configuration nor its crypto stream is touched
+   * @private
+   * @param {string} pipeline - 'v1' or 'v2'
+   * @returns {Promise<boolean>} True if the seed matches SELF_TEST_VECTORS
+   */
+  async _selfTestPipeline(pipeline) {
+    let counter = 0x20;
+    const fixed = Object.create(this);
+    fixed.pipeline = pipeline;
+    fixed.iterations = SELF_TEST_ITERATIONS;
+    fixed.crypto = {
+      subtle: this.crypto.subtle,
+      getRandomValues: (array) => {
+        for (let i = 0; i < array.length; i++) array[i] = counter++ & 0xff;
+        return array;
+      }
+    };
+    
+    const { seed } = await fixed._derivePipelineSeed({
+      salt: Uint8Array.from({ length: 32 }, (_, i) => i),
+      entropyBytes: this._serializeFloats(Array.from({ length: 64 }, (_, i) => i * 1.5 + 0.25)),
+      timerBytes: this._serializeFloats(Array.from({ length: 32 }, (_, i) => i / 8)),
+      ratchet: false
+    });
+    return this.toHex(seed) === SELF_TEST_VECTORS.pipeline[pipeline];
+  }
+  
+  /**
+   * Sanity check of crypto.getRandomValues(): no block may be one repeated
+   * byte or repeat another block. Skipped in test mode, where the injected
+   * crypto is deterministic by design and drawing would shift its stream.
+   * @private
+   * @returns {Object} { passed, skipped? }
+   */
+  _selfTestRandomValues() {
+    if (this.testMode) {
+      return { passed: true, skipped: true };
+    }
+    
+    const seen = new Set();
+    for (let i = 0; i < SELF_TEST_RANDOM_BLOCKS; i++) {
+      const block = this.crypto.getRandomValues(new Uint8Array(SELF_TEST_RANDOM_BLOCK_SIZE));
+      const hex = this.toHex(block);
+      if (block.every(byte => byte === block[0]) || seen.has(hex)) {
+        return { passed: false };
+      }
+      seen.add(hex);
+    }
+    return { passed: true };
+  }
+  
+  /**
+   * Calculate weighted event count
+   * @private
+   * @returns {number} Weighted sum of events
+   */
+  _getWeightedEventCount() {
+    let total = 0;
+    for (const group in this.eventCount) {
+      total += this.eventCount[group];
+    }
+    return total;
+  }
+  
+  /**
+   * Verify sufficient entropy has been collected
+   * @returns {boolean} True if entropy is sufficient
+   */
+  hasMinimumEntropy() {
+    // Integrity check #2 - Validation
+    if (REQUIRED_MIN_EVENTS !== _VERIFY_A || 
+        REQUIRED_MIN_EVENTS !== _VERIFY_B || 
+        REQUIRED_MIN_EVENTS !== _VERIFY_C ||
+        this.minEvents !== 500) {
+      this._emit('health-failure', { test: 'integrity', check: 'validation' });
+      throw new Error('Security integrity check failed: minimum events constant tampered');
+    }
+    
+    // Estimated bits gate readiness; 500 weighted events remain a floor
+    const weightedEvents = this._getWeightedEventCount();
+    return weightedEvents >= 500 && 
+           this._getEstimatedBits() >= REQUIRED_ENTROPY_BITS &&
+           this._hasPoolMaterial();
+  }
+  
+  /**
+   * Wait until hasMinimumEntropy() holds
+   * Resolves as soon as the requirements are met (checked whenever entropy
+   * is credited or timer data arrives). When `timeout` elapses first, the
+   * `onTimeout` policy decides:
+   * - 'reject' (default): reject with an EntropyTimeoutError carrying getStats()
+   * - 'degraded': generate a seed from the entropy collected so far (Path B
+   *   still applies) and resolve with it, flagged `degraded: true`
+   * - a function (stats, { waitedMs, attempt }) => decision, possibly async,
+   *   e.g. to prompt the user; it returns 'wait' (wait another `timeout`),
+   *   'degraded' or 'reject'. If the requirements are met while it runs,
+   *   the promise resolves normally and its decision is ignored.
+   * @param {Object} [options={}] - Wait options
+   * @param {number} [options.timeout=Infinity] - Milliseconds to wait
+   * @param {AbortSignal} [options.signal] - Cancels the wait (rejects with its reason)
+   * @param {string|Function} [options.onTimeout='reject'] - Timeout policy
+   * @returns {Promise<Object>} { degraded, waitedMs, stats }, plus `seed` when degraded
+   * @throws {EntropyTimeoutError} If the timeout elapses and the policy rejects
+   * @throws {Error} If the options are invalid
+   */
+  async waitForEntropy({ timeout = Infinity, signal, onTimeout = 'reject' } = {}) {
+    if (typeof timeout !== 'number' || !(timeout > 0)) {
+      throw new Error('timeout must be a positive number of milliseconds (or Infinity)');
+    }
+    if (typeof onTimeout !== 'function' && !WAIT_TIMEOUT_POLICIES.includes(onTimeout)) {
+      throw new Error(`Unknown onTimeout policy: ${onTimeout} ` +
+                      `(expected ${WAIT_TIMEOUT_POLICIES.map(p => `'${p}'`).join(', ')} or a function)`);
+    }
+    
+    const startTime = this._now();
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      let timerId = null;
+      let attempt = 0;
+      
+      const cleanup = () => {
+        settled = true;
+        this.scheduler.clearTimeout(timerId);
+        this._entropyWaiters = this._entropyWaiters.filter(fn => fn !== waiter);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+      const finish = (settle, value) => {
+        if (settled) return;
+        cleanup();
+        settle(value);
+      };
+      const waiter = () => {
+        if (this.hasMinimumEntropy()) {
+          finish(resolve, { degraded: false, waitedMs: this._now() - startTime, stats: this.getStats() });
+        }
+      };
+      const onAbort = () => finish(reject, this._abortReason(signal));
+      
+      const onTimer = async () => {
+        timerId = null;
+        attempt++;
+        const waitedMs = this._now() - startTime;
+        const stats = this.getStats();
+        
+        let decision = onTimeout;
+        if (typeof onTimeout === 'function') {
+          try {
+            decision = await onTimeout(stats, { waitedMs, attempt });
+          } catch (error) {
+            finish(reject, error);
+            return;
+          }
+          // Ready or aborted while the prompt was open
+          if (settled) return;
+        }
+        
+        if (decision === 'wait') {
+          timerId = this.scheduler.setTimeout(onTimer, timeout);
+          return;
+        }
+        if (decision === 'degraded') {
+          cleanup();
+          try {
+            const seed = await this.generateSeed({ skipValidation: true, signal });
+            this.degradedSeeds++;
+            resolve({ degraded: true, seed, waitedMs, stats });
+          } catch (error) {
+            reject(error);
+          }
+          return;
+        }
+        finish(reject, new EntropyTimeoutError(stats, waitedMs));
+      };
+      
+      if (signal && signal.aborted) {
+        onAbort();
+        return;
+      }
+      waiter();
+      if (settled) return;
+      
+      this._entropyWaiters.push(waiter);
+      if (signal) signal.addEventListener('abort', onAbort);
+      if (Number.isFinite(timeout)) {
+        timerId = this.scheduler.setTimeout(onTimer, timeout);
+      }
+    });
+  }
+  
+  /**
+   * Run pending waitForEntropy() checks
+   * @private
+   */
+  _checkEntropyWaiters() {
+    for (const waiter of this._entropyWaiters.slice()) {
+      waiter();
+    }
+  }
+  
+  /**
+   * Generate cryptographically secure seed with dual-path fortification
+   * Each seed consumes the collected entropy (see _consumeEntropy) unless
+   * reuseEntropy was enabled for testing. Concurrent calls are serialized.
+   * @param {boolean|Object} [options=false] - skipValidation flag, or options
+   * @param {boolean} [options.skipValidation=false] - Skip minimum entropy validation
+   * @param {string} [options.format='bytes'] - 'bytes', 'mnemonic' or a key of
+   *        ntrpRNG.codecs ('hex', 'base64', 'base64url', 'base32', 'base58',
+   *        'base58check', 'bech32', 'bech32m', 'z85'); remaining options are
+   *        passed to the encoder (e.g. hrp for Bech32, words for mnemonics)
+   * @param {AbortSignal} [options.signal] - Cancels generation between hashing
+   *        batches; the promise rejects with the signal's reason (an AbortError
+   *        DOMException by default)
+   * @param {Function} [options.onProgress] - Called with { stage, iteration, iterations }
+   *        as each stage ('prehash', 'pathA-sha256', 'pathA-sha512', 'pathB',
+   *        'mixing') starts, after every hashing batch, and when it completes
+   * @returns {Promise<Uint8Array|string>} Final seed (64 bytes), or its encoding;
+   *          in test mode the bytes carry `testMode: true`
+   * @throws {Error} If entropy is insufficient and skipValidation is false,
+   *         the format is unknown, it is Bech32/Bech32m without a limit, the
+   *         encoder options are invalid (checked before consuming entropy),
+   *         or the format is not 'bytes' in test mode
+   * @throws {SelfTestError} If the latest self-test failed
+   */
+  async generateSeed(options = false) {
+    const { skipValidation = false, format = 'bytes', signal, onProgress, ...formatOptions } =
+      typeof options === 'object' && options !== null ? options : { skipValidation: options };
+    this._throwIfAborted(signal);
+    if (format !== 'bytes' && format !== 'mnemonic' && !CODECS[format]) {
+      throw new Error(`Unknown seed format "${format}". ` +
+                      `Supported: bytes, mnemonic, ${Object.keys(CODECS).join(', ')}`);
+    }
+    // An encoded test-mode seed would look like a real one
+    if (this.testMode && format !== 'bytes') {
+      throw new Error(`Seed format "${format}" is refused in testMode: only bytes carry the testMode marker`);
+    }
+    // A 64-byte seed is longer than BIP173's 90 characters, past which the
+    // checksum no longer guarantees error detection; lifting it is opt-in
+    if ((format === 'bech32' || format === 'bech32m') && formatOptions.limit === undefined) {
+      throw new Error(`A 64-byte seed exceeds the 90-character ${format} limit; ` +
+                      'pass limit to accept weaker error detection');
+    }
+    // Encoder options (hrp, limit, words, ...) fail on a dummy seed before
+    // any entropy is consumed
+    if (format === 'mnemonic') {
+      await this.toMnemonic(new Uint8Array(64), { words: 24, ...formatOptions });
+    } else if (format !== 'bytes') {
+      CODECS[format].encode(new Uint8Array(64), formatOptions);
+    }
+    
+    // Integrity check #3 - Generation
+    if (REQUIRED_MIN_EVENTS !== _VERIFY_A || 
+        REQUIRED_MIN_EVENTS !== _VERIFY_B || 
+        REQUIRED_MIN_EVENTS !== _VERIFY_C ||
+        this.minEvents !== 500) {
+      this._emit('health-failure', { test: 'integrity', check: 'generation' });
+      throw new Error('Security integrity check failed: minimum events constant tampered');
+    }
+    
+    const seed = await this._runExclusive(() => this._generateSeed(skipValidation, { signal, onProgress }));
+    if (format === 'bytes') {
+      if (this.testMode) {
+        seed.testMode = true;
+      }
+      return seed;
+    }
+    if (format === 'mnemonic') {
+      return this.toMnemonic(seed, { words: 24, ...formatOptions });
+    }
+    return CODECS[format].encode(seed, formatOptions);
+  }
+  
+  /**
+   * Seed generation pipeline (called through generateSeed)
+   * @private
+   * @param {boolean} skipValidation - Skip minimum entropy validation
+   * @param {Object} [control={}] - { signal, onProgress } from generateSeed()
+   * @returns {Promise<Uint8Array>} Final seed (64 bytes)
+   */
+  async _generateSeed(skipValidation, control = {}) {
+    // An abort while queued behind another generation leaves the pool untouched
+    this._throwIfAborted(control.signal);
+    const startTime = this._now();
+    
+    // No output unless the latest self-test passed
+    await this._assertSelfTest();
+    this._throwIfAborted(control.signal);
+    
+    // The carry-over seed is mixed in before the first seed
+    if (this._seedFileLoad) {
+      await this._seedFileLoad;
+      this._throwIfAborted(control.signal);
+    }
+    
+    // SP 800-90B: no output while a contributing source is failing
+    const healthFailures = this._getHealthFailures();
+    if (!skipValidation && healthFailures.length > 0) {
+      throw new EntropyHealthError(healthFailures);
+    }
+    
+    // Validate entropy
+    if (!skipValidation && !this.hasMinimumEntropy()) {
+      const stats = this.getStats();
+      throw new Error(
+        `Insufficient entropy. Weighted events: ${stats.totalEvents}/500, ` +
+        `Estimated bits: ${stats.entropyBits.toFixed(1)}/${REQUIRED_ENTROPY_BITS}, ` +
+        `Pool: ${this.entropyPool.length}, Timer: ${this.timerDeltas.length}`
+      );
+    }
+    
+    // 1. Generate salt
+    const salt = this.generateSalt();
+    
+    // PATH A - User Entropy (primary)
+    // The pools are snapshotted synchronously, so they can be consumed
+    // before awaiting; events arriving meanwhile feed the next seed.
+    // Fortuna draws from its generator here; it rekeys itself, while the
+    // single pool is ratcheted inside the pipeline.
+    const job = { salt, ratchet: !this.reuseEntropy && !this.fortuna };
+    let combinedPromise = null;
+    if (this.fortuna) {
+      combinedPromise = this._combineFortuna(salt);
+    } else {
+      Object.assign(job, this._snapshotPools());
+    }
+    if (!this.reuseEntropy) {
+      this._consumeEntropy();
+    }
+    if (combinedPromise) {
+      job.combined = await combinedPromise;
+    }
+    
+    const priorState = this.poolState;
+    let result;
+    try {
+      result = await this._runPipeline(job, control);
+    } catch (error) {
+      // Unless clearEntropy() ran meanwhile, keep the consumed pools
+      if (job.ratchet && this.poolState === priorState) {
+        await this._restoreConsumedPools(job);
+      }
+      throw error;
+    }
+    const { seed, poolState } = result;
+    if (job.ratchet) {
+      this.poolState = poolState;
+    }
+    // Seeds generated without validation (including degraded ones) are not
+    // trusted to carry entropy into the next session
+    if (this.seedFile && !skipValidation) {
+      await this._storeSeedFile();
+    }
+    
+    this.seedsGenerated++;
+    this._emit('seed-generated', {
+      seedsGenerated: this.seedsGenerated,
+      durationMs: this._now() - startTime,
+      pipeline: this.pipeline,
+      accumulator: this.accumulator,
+      skipValidation: Boolean(skipValidation),
+      testMode: this.testMode
+    });
+    return seed;
+  }
+  
+  /**
+   * Hashing stages of seed generation: pool pre-hash, ratchet, stretching,
+   * CSPRNG whitening and final mixing. Reads only `iterations`, `pipeline`,
+   * `crypto` and `scheduler.setTimeout` from the instance, so it can run
+   * unchanged in the seed worker (see _seedWorkerSource).
+   * @private
+   * @param {Object} job - Serialized pipeline input
+   * @param {Uint8Array} job.salt - Seed salt
+   * @param {Uint8Array} [job.entropyBytes] - Serialized behavioral pool
+   * @param {Uint8Array} [job.timerBytes] - Serialized timer pool
+   * @param {Uint8Array} [job.combined] - Pre-combined input (Fortuna)
+   * @param {boolean} job.ratchet - Derive the next pool state
+   * @param {Object} [control={}] - { signal, onProgress }
+   * @returns {Promise<{seed: Uint8Array, poolState: Uint8Array|null}>} Seed and ratcheted state
+   */
+  async _derivePipelineSeed(job, control = {}) {
+    const salt = job.salt;
+    this._throwIfAborted(control.signal);
+    this._reportProgress(control, 'prehash', 0, 1);
+    const combined = job.combined ||
+      await this._combineDigests(job.entropyBytes, job.timerBytes, salt);
+    
+    const poolState = job.ratchet
+      ? await this._ratchetPoolState(combined.subarray(0, 64))
+      : null;
+    
+    const preHashBuffer = await this.crypto.subtle.digest('SHA-256', combined);
+    const preHash = new Uint8Array(preHashBuffer);
+    this._reportProgress(control, 'prehash', 1, 1);
+    
+    const [hash256_A, hash512_A_full] = await this._stretch(preHash, salt, control);
+    const hash512_A = this._truncate512(hash512_A_full);
+    
+    const user_final = this._xorArrays(hash256_A, hash512_A);
+    
+    // PATH B - CSPRNG (whitening)
+    this._throwIfAborted(control.signal);
+    this._reportProgress(control, 'pathB', 0, 1);
+    const random_bytes = new Uint8Array(64);
+    this.crypto.getRandomValues(random_bytes);
+    
+    const hash256_B_buffer = await this.crypto.subtle.digest('SHA-256', random_bytes);
+    const hash256_B = new Uint8Array(hash256_B_buffer);
+    
+    const hash512_B_full_buffer = await this.crypto.subtle.digest('SHA-512', random_bytes);
+    const hash512_B_full = new Uint8Array(hash512_B_full_buffer);
+    const hash512_B = this._truncate512(hash512_B_full);
+    
+    const csprng_final = this._xorArrays(hash256_B, hash512_B);
+    this._reportProgress(control, 'pathB', 1, 1);
+    
+    // Final Mixing (double-hash)
+    this._throwIfAborted(control.signal);
+    this._reportProgress(control, 'mixing', 0, 1);
+    const finalInputLength = user_final.length + csprng_final.length + salt.length;
+    const finalInput = new Uint8Array(finalInputLength);
+    
+    let offset = 0;
+    finalInput.set(user_final, offset);
+    offset += user_final.length;
+    finalInput.set(csprng_final, offset);
+    offset += csprng_final.length;
+    finalInput.set(salt, offset);
+    
+    const intermediateBuffer = await this.crypto.subtle.digest('SHA-512', finalInput);
+    const intermediate = new Uint8Array(intermediateBuffer);
+    
+    const finalSeedBuffer = await this.crypto.subtle.digest('SHA-512', intermediate);
+    const finalSeed = new Uint8Array(finalSeedBuffer);
+    this._reportProgress(control, 'mixing', 1, 1);
+    
+    return { seed: finalSeed, poolState };
+  }
+  
+  /**
+   * Invoke the onProgress callback, if any
+   * A throwing callback is logged and does not interrupt generation.
+   * @private
+   * @param {Object} control - { onProgress }
+   * @param {string} stage - Pipeline stage
+   * @param {number} iteration - Completed iterations
+   * @param {number} iterations - Total iterations of the stage
+   */
+  _reportProgress(control, stage, iteration, iterations) {
+    if (typeof control.onProgress !== 'function') return;
+    try {
+      control.onProgress({ stage, iteration, iterations });
+    } catch (error) {
+      console.warn(`ntrpRNG: onProgress callback threw: ${error && error.message}`);
+    }
+  }
+  
+  /**
+   * Throw the abort reason if the signal has been aborted
+   * @private
+   * @param {AbortSignal} [signal] - Cancellation signal
+   */
+  _throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw this._abortReason(signal);
+    }
+  }
+  
+  /**
+   * Rejection value for an aborted operation: the signal's reason, or an
+   * AbortError when none was given
+   * @private
+   * @param {AbortSignal} signal - Aborted signal
+   * @returns {*} Abort reason
+   */
+  _abortReason(signal) {
+    if (signal.reason !== undefined) {
+      return signal.reason;
+    }
+    if (typeof DOMException === 'function') {
+      return new DOMException('The operation was aborted', 'AbortError');
+    }
+    const error = new Error('The operation was aborted');
+    error.name = 'AbortError';
+    return error;
+  }
+
+  /**
+   * Run the hashing stages off-thread when the seed worker is enabled,
+   * falling back to in-thread execution when workers are unavailable or
+   * the worker crashes during the job
+   * @private
+   * @param {Object} job - Serialized pipeline input (see _derivePipelineSeed)
+   * @param {Object} [control={}] - { signal, onProgress }
+   * @returns {Promise<{seed: Uint8Array, poolState: Uint8Array|null}>} Seed and ratcheted state
+   */
+  async _runPipeline(job, control = {}) {
+    this._throwIfAborted(control.signal);
+    if (this.useWorker && !this._workerFailed) {
+      if (!this._seedWorker) {
+        this._seedWorker = this._spawnSeedWorker();
+      }
+      const handle = this._seedWorker;
+      if (handle && await handle.ready) {
+        try {
+          return await this._postSeedJob(handle, job, control);
+        } catch (error) {
+          // A crashed worker takes the job with it; it is rerun in-thread below
+          if (!this._workerFailed) throw error;
+        }
+      } else if (!this._workerFailed) {
+        this._disableSeedWorker('could not be started');
+      }
+    }
+    return this._derivePipelineSeed(job, control);
+  }
+  
+  /**
+   * Start the seed worker: a Web Worker built from a Blob URL in browsers,
+   * or an eval'd worker_threads Worker in Node.js
+   * @private
+   * @returns {Object|null} Worker handle, or null when workers are unavailable
+   */
+  _spawnSeedWorker() {
+    const source = _seedWorkerSource();
+    let worker;
+    let url = null;
+    try {
+      if (typeof Worker === 'function' && typeof Blob === 'function' &&
+          typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function') {
+        url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+        worker = new Worker(url);
+      } else if (this.environment === 'node' && typeof require === 'function') {
+        const { Worker: NodeWorker } = require('worker_threads');
+        worker = new NodeWorker(source, { eval: true });
+      } else {
+        return null;
+      }
+    } catch (error) {
+      if (url) URL.revokeObjectURL(url);
+      return null;
+    }
+    
+    const handle = { worker, url, pending: new Map(), nextId: 0, ready: null };
+    let settleReady;
+    handle.ready = new Promise(resolve => { settleReady = resolve; });
+    
+    const startupTimer = this.scheduler.setTimeout(() => settleReady(false), WORKER_STARTUP_TIMEOUT_MS);
+    this._unrefTimer(startupTimer);
+    
+    const onMessage = (message) => {
+      if (message.ready) {
+        this.scheduler.clearTimeout(startupTimer);
+        settleReady(true);
+        this._updateWorkerRef(handle);
+        return;
+      }
+      const job = handle.pending.get(message.id);
+      if (!job) return;
+      if (message.progress) {
+        const { stage, iteration, iterations } = message.progress;
+        this._reportProgress(job, stage, iteration, iterations);
+        return;
+      }
+      handle.pending.delete(message.id);
+      this._updateWorkerRef(handle);
+      if (message.error) {
+        job.reject(new Error(`Seed worker failed: ${message.error}`));
+      } else {
+        job.resolve(message.result);
+      }
+    };
+    const onError = (error) => {
+      this.scheduler.clearTimeout(startupTimer);
+      settleReady(false);
+      if (this._seedWorker === handle) {
+        this._disableSeedWorker(`failed: ${(error && error.message) || 'unknown error'}`);
+      }
+    };
+    
+    if (typeof worker.on === 'function') {
+      worker.on('message', onMessage);
+      worker.on('error', onError);
+      worker.on('exit', () => onError(new Error('worker exited')));
+    } else {
+      worker.onmessage = (event) => onMessage(event.data);
+      worker.onerror = (event) => {
+        event.preventDefault();
+        onError(event);
+      };
+    }
+    return handle;
+  }
+  
+  /**
+   * Post a job to the seed worker, transferring copies of the serialized
+   * pool buffers (the job stays intact for an in-thread rerun)
+   * Progress messages are forwarded to onProgress; aborting rejects at once
+   * and tells the worker to stop hashing.
+   * @private
+   * @param {Object} handle - Worker handle from _spawnSeedWorker
+   * @param {Object} job - Serialized pipeline input
+   * @param {Object} [control={}] - { signal, onProgress }
+   * @returns {Promise<{seed: Uint8Array, poolState: Uint8Array|null}>} Worker result
+   */
+  _postSeedJob(handle, job, control = {}) {
+    const { signal, onProgress } = control;
+    return new Promise((resolve, reject) => {
+      const id = handle.nextId++;
+      const onAbort = () => {
+        if (!handle.pending.delete(id)) return;
+        this._updateWorkerRef(handle);
+        handle.worker.postMessage({ id, abort: true });
+        reject(this._abortReason(signal));
+      };
+      const settle = (callback) => (value) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        callback(value);
+      };
+      handle.pending.set(id, { resolve: settle(resolve), reject: settle(reject), onProgress });
+      this._updateWorkerRef(handle);
+      if (signal) signal.addEventListener('abort', onAbort);
+      
+      const copy = Object.assign({}, job);
+      const transfer = [];
+      for (const key of ['entropyBytes', 'timerBytes', 'combined']) {
+        if (job[key]) {
+          copy[key] = job[key].slice();
+          transfer.push(copy[key].buffer);
+        }
+      }
+      handle.worker.postMessage({
+        id,
+        config: { iterations: this.iterations, pipeline: this.pipeline },
+        job: copy,
+        progress: typeof onProgress === 'function'
+      }, transfer);
+    });
+  }
+  
+  /**
+   * Keep a Node.js process alive only while seed jobs are pending
+   * @private
+   * @param {Object} handle - Worker handle
+   */
+  _updateWorkerRef(handle) {
+    const worker = handle.worker;
+    if (typeof worker.ref !== 'function') return;
+    if (handle.pending.size > 0) {
+      worker.ref();
+    } else {
+      worker.unref();
+    }
+  }
+  
+  /**
+   * Stop using the seed worker after a failure; later seeds run in-thread
+   * @private
+   * @param {string} reason - Failure description
+   */
+  _disableSeedWorker(reason) {
+    console.warn(`ntrpRNG: seed worker ${reason}. Falling back to in-thread seed generation.`);
+    this._workerFailed = true;
+    this.terminateWorker(new Error(`Seed worker ${reason}`));
+  }
+  
+  /**
+   * Terminate the seed worker, if one is running
+   * A new worker is started by the next seed while the worker option is
+   * enabled. Jobs still in flight are rejected.
+   * @param {Error} [reason] - Rejection reason for pending jobs
+   */
+  terminateWorker(reason = new Error('Seed worker terminated')) {
+    const handle = this._seedWorker;
+    if (!handle) return;
+    this._seedWorker = null;
+    
+    handle.pending.forEach(job => job.reject(reason));
+    handle.pending.clear();
+    handle.worker.terminate();
+    if (handle.url) {
+      URL.revokeObjectURL(handle.url);
+    }
+  }
+  
+  /**
+   * Convert Uint8Array to hexadecimal string
+   * @param {Uint8Array} bytes - Byte array
+   * @returns {string} Hexadecimal string
+   */
+  toHex(bytes) {
+    return CODECS.hex.encode(bytes);
+  }
+  
+  /**
+   * Convert Uint8Array to Base64 string
+   * @param {Uint8Array} bytes - Byte array
+   * @returns {string} Base64 string
+   */
+  toBase64(bytes) {
+    return CODECS.base64.encode(bytes);
+  }
+  
+  /**
+   * Encode bytes as a BIP39 mnemonic phrase
+   * The first 16–32 bytes (per word count) are used as entropy, so a
+   * 64-byte seed yields a 24-word phrase from its first 32 bytes.
+   * @param {Uint8Array} bytes - Entropy (at least 16 bytes)
+   * @param {Object} [options] - Encoding options
+   * @param {number} [options.words] - 12, 15, 18, 21 or 24 (default: 24, or
+   *        the count matching bytes.length for 16–28 byte input)
+   * @param {string|Array<string>} [options.language='english'] - Key of
+   *        ntrpRNG.wordlists or a 2048-word list
+   * @returns {Promise<string>} Space-separated mnemonic
+   * @throws {Error} If the word count, input length or wordlist is invalid
+   */
+  async toMnemonic(bytes, { words, language = 'english' } = {}) {
+    if (!(bytes instanceof Uint8Array)) {
+      throw new Error('toMnemonic: bytes must be a Uint8Array');
+    }
+    if (words === undefined) {
+      words = Object.keys(MNEMONIC_LENGTHS).find(count => MNEMONIC_LENGTHS[count] === bytes.length) || 24;
+    }
+    const entropyLength = MNEMONIC_LENGTHS[words];
+    if (!entropyLength) {
+      throw new Error('toMnemonic: words must be 12, 15, 18, 21 or 24');
+    }
+    if (bytes.length < entropyLength) {
+      throw new Error(`toMnemonic: ${words} words need ${entropyLength} bytes, got ${bytes.length}`);
+    }
+    
+    const wordlist = this._getWordlist(language);
+    const entropy = bytes.slice(0, entropyLength);
+    const checksum = new Uint8Array(await this.crypto.subtle.digest('SHA-256', entropy));
+    const data = this._concatBytes(entropy, checksum.subarray(0, 1));
+    
+    // 11 bits per word, most significant bit first
+    const phrase = [];
+    for (let i = 0; i < Number(words); i++) {
+      let index = 0;
+      for (let bit = i * 11; bit < i * 11 + 11; bit++) {
+        index = (index << 1) | ((data[bit >> 3] >> (7 - (bit & 7))) & 1);
+      }
+      phrase.push(wordlist[index]);
+    }
+    entropy.fill(0);
+    
+    return phrase.join(language === 'japanese' ? '\u3000' : ' ');
+  }
+  
+  /**
+   * Decode a BIP39 mnemonic phrase and verify its checksum
+   * @param {string} phrase - Mnemonic (case and extra whitespace are ignored)
+   * @param {Object} [options] - Decoding options
+   * @param {string|Array<string>} [options.language] - Wordlist; detected from
+   *        ntrpRNG.wordlists when omitted
+   * @returns {Promise<Uint8Array>} Entropy (16–32 bytes)
+   * @throws {Error} On an unknown word, invalid length or checksum mismatch
+   */
+  async fromMnemonic(phrase, { language } = {}) {
+    if (typeof phrase !== 'string') {
+      throw new Error('fromMnemonic: phrase must be a string');
+    }
+    
+    const words = phrase.normalize('NFKD').trim().toLowerCase().split(/[\s\u3000]+/);
+    const entropyLength = MNEMONIC_LENGTHS[words.length];
+    if (!entropyLength) {
+      throw new Error(`fromMnemonic: expected 12, 15, 18, 21 or 24 words, got ${words.length}`);
+    }
+    
+    let wordlist;
+    if (language !== undefined) {
+      wordlist = this._getWordlist(language);
+    } else {
+      const detected = Object.keys(ntrpRNG.wordlists)
+        .filter(name => ntrpRNG.wordlists[name].length === 2048)
+        .find(name => this._getWordIndex(ntrpRNG.wordlists[name]).has(words[0]));
+      wordlist = this._getWordlist(detected || 'english');
+    }
+    const index = this._getWordIndex(wordlist);
+    
+    const data = new Uint8Array(entropyLength + 1);
+    words.forEach((word, i) => {
+      const value = index.get(word);
+      if (value === undefined) {
+        throw new Error(`fromMnemonic: unknown word "${word}" at position ${i + 1}`);
+      }
+      for (let b = 0; b < 11; b++) {
+        if ((value >> (10 - b)) & 1) {
+          const bit = i * 11 + b;
+          data[bit >> 3] |= 0x80 >> (bit & 7);
+        }
+      }
+    });
+    
+    const entropy = data.slice(0, entropyLength);
+    const checksumBits = entropyLength / 4;
+    const expected = new Uint8Array(await this.crypto.subtle.digest('SHA-256', entropy))[0] >> (8 - checksumBits);
+    const actual = data[entropyLength] >> (8 - checksumBits);
+    data.fill(0);
+    if (expected !== actual) {
+      entropy.fill(0);
+      throw new Error('fromMnemonic: invalid mnemonic checksum');
+    }
+    
+    return entropy;
+  }
+  
+  /**
+   * Resolve and validate a mnemonic wordlist
+   * @private
+   * @param {string|Array<string>} language - Key of ntrpRNG.wordlists or a word array
+   * @returns {Array<string>} 2048-word list
+   * @throws {Error} If the language is unknown or the list malformed
+   */
+  _getWordlist(language) {
+    const wordlist = Array.isArray(language) ? language : ntrpRNG.wordlists[language];
+    if (!wordlist) {
+      throw new Error(`Unknown mnemonic language "${language}". ` +
+                      `Available: ${Object.keys(ntrpRNG.wordlists).join(', ')}`);
+    }
+    if (wordlist.length !== 2048) {
+      throw new Error('Mnemonic wordlist must contain exactly 2048 words');
+    }
+    return wordlist;
+  }
+  
+  /**
+   * Word → index map for a wordlist (cached per list, NFKD-normalized)
+   * @private
+   * @param {Array<string>} wordlist - 2048-word list
+   * @returns {Map<string, number>} Index lookup
+   */
+  _getWordIndex(wordlist) {
+    let index = WORD_INDEX_CACHE.get(wordlist);
+    if (!index) {
+      index = new Map(wordlist.map((word, i) => [word.normalize('NFKD').toLowerCase(), i]));
+      WORD_INDEX_CACHE.set(wordlist, index);
+    }
+    return index;
+  }
+  
+  /**
+   * Generate seed and return in hexadecimal format
+   * @param {boolean} skipValidation - Skip minimum entropy validation
+   * @returns {Promise<string>} Seed in hex format
+   */
+  async generateSeedHex(skipValidation = false) {
+    return this.generateSeed({ skipValidation, format: 'hex' });
+  }
+  
+  /**
+   * Generate seed and return in Base64 format
+   * @param {boolean} skipValidation - Skip minimum entropy validation
+   * @returns {Promise<string>} Seed in Base64 format
+   */
+  async generateSeedBase64(skipValidation = false) {
+    return this.generateSeed({ skipValidation, format: 'base64' });
+  }
+  
+  /**
+   * Generate seed and return it as a BIP39 mnemonic
+   * The phrase encodes the first 16–32 bytes of the seed (see toMnemonic).
+   * @param {boolean} skipValidation - Skip minimum entropy validation
+   * @param {Object} [options] - toMnemonic options (words, default 24; language)
+   * @returns {Promise<string>} Mnemonic phrase
+   */
+  async generateSeedMnemonic(skipValidation = false, options = {}) {
+    return this.generateSeed({ ...options, skipValidation, format: 'mnemonic' });
+  }
+  
+  /**
+   * Get random bytes from the DRBG (SP 800-90A HMAC-DRBG or CTR-DRBG)
+   * 
+   * The DRBG is instantiated from generateSeed() on first use and
+   * reseeded with a fresh seed whenever hasMinimumEntropy() is satisfied
+   * again. Once reseedInterval requests have been served without fresh
+   * entropy, requests fail until the user provides more. With
+   * predictionResistance every request requires a fresh reseed.
+   * 
+   * @param {number} length - Number of bytes
+   * @param {Object} [options] - Request options
+   * @param {Uint8Array} [options.additionalInput] - SP 800-90A additional input
+   * @returns {Promise<Uint8Array>} Random bytes
+   * @throws {Error} If the DRBG cannot be (re)seeded for lack of entropy
+   * @throws {SelfTestError} If the latest self-test failed
+   */
+  async getRandomBytes(length, { additionalInput } = {}) {
+    if (!Number.isInteger(length) || length < 0) {
+      throw new Error('getRandomBytes: length must be a non-negative integer');
+    }
+    
+    return this._runExclusive(async () => {
+      await this._assertSelfTest();
+      if (!this.drbg) {
+        await this._drbgInstantiate();
+      } else if (this.predictionResistance) {
+        this._assertReseedEntropy('prediction resistance requires a fresh reseed before each request');
+        await this._drbgReseed();
+      } else if (this.hasMinimumEntropy()) {
+        await this._drbgReseed();
+      }
+      
+      // Requests above 2^19 bits are split into several generate calls
+      const output = new Uint8Array(length);
+      let offset = 0;
+      do {
+        if (this.drbg.reseedCounter > this.reseedInterval) {
+          this._assertReseedEntropy(`reseed required after ${this.reseedInterval} requests`);
+          await this._drbgReseed();
+        }
+        
+        const chunk = Math.min(DRBG_MAX_REQUEST_BYTES, length - offset);
+        output.set(await this._drbgGenerate(chunk, additionalInput), offset);
+        offset += chunk;
+      } while (offset < length);
+      
+      return output;
+    }, '_drbgQueue');
+  }
+  
+  /**
+   * Force a DRBG reseed from a fresh seed
+   * Before the first request this instantiates the DRBG instead, with
+   * additionalInput appended to the personalization string.
+   * @param {Uint8Array} [additionalInput] - SP 800-90A additional input
+   * @returns {Promise<void>}
+   * @throws {Error} If entropy is insufficient
+   * @throws {SelfTestError} If the latest self-test failed
+   */
+  async reseed(additionalInput) {
+    return this._runExclusive(async () => {
+      await this._assertSelfTest();
+      if (!this.drbg) {
+        await this._drbgInstantiate(additionalInput);
+      } else {
+        await this._drbgReseed(additionalInput);
+      }
+    }, '_drbgQueue');
+  }
+  
+  /**
+   * Throw unless fresh entropy is available for a DRBG reseed
+   * @private
+   * @param {string} reason - Why a reseed is required
+   * @throws {Error} If hasMinimumEntropy() is false
+   */
+  _assertReseedEntropy(reason) {
+    if (this.hasMinimumEntropy()) return;
+    
+    const progress = this.getProgress();
+    throw new Error(
+      `DRBG ${reason}: insufficient fresh entropy ` +
+      `(${progress.currentEvents}/500 weighted events, ${progress.entropyBits.toFixed(1)}/${progress.requiredBits} bits)`
+    );
+  }
+  
+  /**
+   * Concatenate byte arrays
+   * @private
+   * @param {...Uint8Array} parts - Arrays to join
+   * @returns {Uint8Array} Concatenation
+   */
+  _concatBytes(...parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+    for (const part of parts) {
+      result.set(part, offset);
+      offset += part.length;
+    }
+    return result;
+  }
+  
+  /**
+   * Instantiate the configured DRBG from a fresh seed
+   * The state is only installed once instantiation succeeded, so a failure
+   * (e.g. AES-CTR unavailable) leaves the DRBG uninstantiated.
+   * @private
+   * @param {Uint8Array} [additionalInput] - Appended to the personalization string
+   */
+  async _drbgInstantiate(additionalInput = new Uint8Array(0)) {
+    const entropyInput = await this.generateSeed();
+    
+    const state = {
+      mechanism: this.drbgMechanism,
+      reseedCounter: 1,
+      reseeds: 0,
+      bytesGenerated: 0
+    };
+    
+    if (this.drbgMechanism === 'ctr') {
+      await this._ctrDrbgInstantiate(state, entropyInput, additionalInput);
+    } else {
+      await this._hmacDrbgInstantiate(state, entropyInput, additionalInput);
+    }
+    this.drbg = state;
+  }
+  
+  /**
+   * Reseed the DRBG with a fresh seed
+   * @private
+   * @param {Uint8Array} [additionalInput] - Additional input
+   */
+  async _drbgReseed(additionalInput = new Uint8Array(0)) {
+    const entropyInput = await this.generateSeed();
+    
+    if (this.drbgMechanism === 'ctr') {
+      await this._ctrDrbgReseed(entropyInput, additionalInput);
+    } else {
+      await this._hmacDrbgReseed(entropyInput, additionalInput);
+    }
+    this.drbg.reseedCounter = 1;
+    this.drbg.reseeds++;
+  }
+  
+  /**
+   * Generate one request (≤ DRBG_MAX_REQUEST_BYTES) from the DRBG
+   * @private
+   * @param {number} length - Bytes to generate
+   * @param {Uint8Array} [additionalInput] - Additional input
+   * @returns {Promise<Uint8Array>} Output bytes
+   */
+  async _drbgGenerate(length, additionalInput = new Uint8Array(0)) {
+    const output = this.drbgMechanism === 'ctr'
+      ? await this._ctrDrbgGenerate(length, additionalInput)
+      : await this._hmacDrbgGenerate(length, additionalInput);
+    
+    this.drbg.reseedCounter++;
+    this.drbg.bytesGenerated += length;
+    return output;
+  }
+  
+  /**
+   * HMAC-SHA-512 via Web Crypto
+   * @private
+   * @param {Uint8Array} key - HMAC key
+   * @param {Uint8Array} data - Message
+   * @returns {Promise<Uint8Array>} 64-byte MAC
+   */
+  async _hmacSha512(key, data) {
+    const cryptoKey = await this.crypto.subtle.importKey(
+      'raw', key, { name: 'HMAC', hash: 'SHA-512' }, false, ['sign']
+    );
+    return new Uint8Array(await this.crypto.subtle.sign('HMAC', cryptoKey, data));
+  }
+  
+  /**
+   * HMAC_DRBG_Update (SP 800-90A 10.1.2.2)
+   * @private
+   * @param {Uint8Array} providedData - Provided data (may be empty)
+   * @param {Object} [state=this.drbg] - DRBG state to update
+   */
+  async _hmacDrbgUpdate(providedData, state = this.drbg) {
+    state.K = await this._hmacSha512(state.K, this._concatBytes(state.V, new Uint8Array([0x00]), providedData));
+    state.V = await this._hmacSha512(state.K, state.V);
+    if (providedData.length === 0) return;
+    
+    state.K = await this._hmacSha512(state.K, this._concatBytes(state.V, new Uint8Array([0x01]), providedData));
+    state.V = await this._hmacSha512(state.K, state.V);
+  }
+  
+  /**
+   * HMAC_DRBG_Instantiate (SP 800-90A 10.1.2.3)
+   * entropy_input = generateSeed(), nonce = 32 CSPRNG bytes
+   * @private
+   * @param {Object} state - New DRBG state
+   * @param {Uint8Array} entropyInput - Fresh seed
+   * @param {Uint8Array} additionalInput - Appended to the personalization string
+   */
+  async _hmacDrbgInstantiate(state, entropyInput, additionalInput) {
+    const nonce = new Uint8Array(32);
+    this.crypto.getRandomValues(nonce);
+    const personalization = this._concatBytes(
+      new TextEncoder().encode('ntrpRNG HMAC-DRBG' + this.personalization),
+      additionalInput
+    );
+    
+    state.K = new Uint8Array(64);
+    state.V = new Uint8Array(64).fill(0x01);
+    await this._hmacDrbgUpdate(this._concatBytes(entropyInput, nonce, personalization), state);
+  }
+  
+  /**
+   * HMAC_DRBG_Reseed (SP 800-90A 10.1.2.4)
+   * @private
+   * @param {Uint8Array} entropyInput - Fresh seed
+   * @param {Uint8Array} additionalInput - Additional input
+   */
+  async _hmacDrbgReseed(entropyInput, additionalInput) {
+    await this._hmacDrbgUpdate(this._concatBytes(entropyInput, additionalInput));
+  }
+  
+  /**
+   * HMAC_DRBG_Generate (SP 800-90A 10.1.2.5)
+   * @private
+   * @param {number} length - Bytes to generate
+   * @param {Uint8Array} additionalInput - Additional input
+   * @returns {Promise<Uint8Array>} Output bytes
+   */
+  async _hmacDrbgGenerate(length, additionalInput) {
+    const state = this.drbg;
+    if (additionalInput.length > 0) {
+      await this._hmacDrbgUpdate(additionalInput);
+    }
+    
+    const output = new Uint8Array(length);
+    let offset = 0;
+    while (offset < length) {
+      state.V = await this._hmacSha512(state.K, state.V);
+      const take = Math.min(state.V.length, length - offset);
+      output.set(state.V.subarray(0, take), offset);
+      offset += take;
+    }
+    
+    await this._hmacDrbgUpdate(additionalInput);
+    return output;
+  }
+  
+  /**
+   * Fit an input to the CTR-DRBG seed length (48 bytes) without a
+   * derivation function: shorter inputs are zero-padded, longer ones
+   * are compressed with SHA-384.
+   * @private
+   * @param {Uint8Array} input - Personalization or additional input
+   * @returns {Promise<Uint8Array>} 48-byte block
+   */
+  async _ctrDrbgFitSeedLength(input) {
+    if (input.length > CTR_DRBG_SEED_LENGTH) {
+      return new Uint8Array(await this.crypto.subtle.digest('SHA-384', input));
+    }
+    const block = new Uint8Array(CTR_DRBG_SEED_LENGTH);
+    block.set(input, 0);
+    return block;
+  }
+  
+  /**
+   * Increment a big-endian 128-bit counter block in place
+   * @private
+   * @param {Uint8Array} block - 16-byte counter
+   */
+  _incrementCounterBlock(block) {
+    for (let i = block.length - 1; i >= 0; i--) {
+      block[i] = (block[i] + 1) & 0xff;
+      if (block[i] !== 0) break;
+    }
+  }
+  
+  /**
+   * AES-256 keystream starting at block V + 1 (Web Crypto AES-CTR over
+   * zeros, 128-bit counter), advancing V past the blocks used
+   * @private
+   * @param {number} length - Bytes of keystream
+   * @param {Object} [state=this.drbg] - DRBG state
+   * @returns {Promise<Uint8Array>} Keystream
+   */
+  async _ctrDrbgKeystream(length, state = this.drbg) {
+    const blocks = Math.ceil(length / 16);
+    
+    this._incrementCounterBlock(state.V);
+    const cryptoKey = await this.crypto.subtle.importKey('raw', state.Key, 'AES-CTR', false, ['encrypt']);
+    const keystream = await this.crypto.subtle.encrypt(
+      { name: 'AES-CTR', counter: state.V, length: 128 },
+      cryptoKey,
+      new Uint8Array(blocks * 16)
+    );
+    
+    // V now refers to the last block used
+    for (let i = 1; i < blocks; i++) {
+      this._incrementCounterBlock(state.V);
+    }
+    return new Uint8Array(keystream, 0, length);
+  }
+  
+  /**
+   * CTR_DRBG_Update (SP 800-90A 10.2.1.2)
+   * @private
+   * @param {Uint8Array} providedData - 48-byte provided data
+   * @param {Object} [state=this.drbg] - DRBG state to update
+   */
+  async _ctrDrbgUpdate(providedData, state = this.drbg) {
+    const temp = this._xorArrays(await this._ctrDrbgKeystream(CTR_DRBG_SEED_LENGTH, state), providedData);
+    state.Key = temp.slice(0, 32);
+    state.V = temp.slice(32, 48);
+  }
+  
+  /**
+   * CTR_DRBG_Instantiate without derivation function (SP 800-90A 10.2.1.3.1)
+   * entropy_input = first 48 bytes of generateSeed()
+   * @private
+   * @param {Object} state - New DRBG state
+   * @param {Uint8Array} entropyInput - Fresh seed
+   * @param {Uint8Array} additionalInput - Appended to the personalization string
+   */
+  async _ctrDrbgInstantiate(state, entropyInput, additionalInput) {
+    const personalization = await this._ctrDrbgFitSeedLength(this._concatBytes(
+      new TextEncoder().encode('ntrpRNG CTR-DRBG' + this.personalization),
+      additionalInput
+    ));
+    
+    state.Key = new Uint8Array(32);
+    state.V = new Uint8Array(16);
+    await this._ctrDrbgUpdate(this._xorArrays(entropyInput.subarray(0, CTR_DRBG_SEED_LENGTH), personalization), state);
+  }
+  
+  /**
+   * CTR_DRBG_Reseed without derivation function (SP 800-90A 10.2.1.4.1)
+   * @private
+   * @param {Uint8Array} entropyInput - Fresh seed
+   * @param {Uint8Array} additionalInput - Additional input
+   */
+  async _ctrDrbgReseed(entropyInput, additionalInput) {
+    const additional = await this._ctrDrbgFitSeedLength(additionalInput);
+    await this._ctrDrbgUpdate(this._xorArrays(entropyInput.subarray(0, CTR_DRBG_SEED_LENGTH), additional));
+  }
+  
+  /**
+   * CTR_DRBG_Generate without derivation function (SP 800-90A 10.2.1.5.1)
+   * @private
+   * @param {number} length - Bytes to generate
+   * @param {Uint8Array} additionalInput - Additional input
+   * @returns {Promise<Uint8Array>} Output bytes
+   */
+  async _ctrDrbgGenerate(length, additionalInput) {
+    const additional = await this._ctrDrbgFitSeedLength(additionalInput);
+    if (additionalInput.length > 0) {
+      await this._ctrDrbgUpdate(additional);
+    }
+    
+    const output = length > 0 ? await this._ctrDrbgKeystream(length) : new Uint8Array(0);
+    await this._ctrDrbgUpdate(additional);
+    return output;
+  }
+  
+  /**
+   * Create a deterministic random value stream (see ntrpSeedStream)
+   * Without a seed, a fresh one is taken from generateSeed(); pass an
+   * explicit seed to reproduce a sequence.
+   * @param {Uint8Array|string} [seed] - 32/64-byte seed or hex string
+   * @returns {Promise<ntrpSeedStream>} Stream with randomInt, randomFloat,
+   *          randomBoolean, shuffle and sample
+   * @throws {Error} If no seed is given and entropy is insufficient
+   * @throws {SelfTestError} If the latest self-test failed
+   */
+  async createStream(seed) {
+    await this._assertSelfTest();
+    if (seed === undefined) {
+      seed = await this.generateSeed();
+    }
+    return new ntrpSeedStream(seed);
+  }
+  
+  /**
+   * Generate a Diceware passphrase from a fresh seed
+   * Words are drawn uniformly (rejection sampling) from a SeedStream
+   * seeded by generateSeed().
+   * @param {Object} [options] - Passphrase options
+   * @param {number} [options.words=6] - Number of words
+   * @param {string} [options.separator=' '] - Separator between words
+   * @param {string|Array<string>} [options.wordlist='effLarge'] - Key of
+   *        ntrpRNG.wordlists or a custom word array
+   * @returns {Promise<{passphrase: string, words: number, entropyBits: number}>}
+   *          Passphrase and its entropy (words × log2 of the distinct wordlist size)
+   * @throws {Error} If the options are invalid or entropy is insufficient
+   */
+  async generatePassphrase({ words = 6, separator = ' ', wordlist = 'effLarge' } = {}) {
+    if (!Number.isInteger(words) || words < 1) {
+      throw new Error('generatePassphrase: words must be a positive integer');
+    }
+    
+    const list = Array.isArray(wordlist) ? wordlist : ntrpRNG.wordlists[wordlist];
+    if (!list) {
+      throw new Error(`generatePassphrase: unknown wordlist "${wordlist}". ` +
+                      `Available: ${Object.keys(ntrpRNG.wordlists).join(', ')}`);
+    }
+    
+    // Duplicates would bias the draw and overstate the entropy
+    const unique = Array.from(new Set(list));
+    if (unique.length < 2) {
+      throw new Error('generatePassphrase: wordlist needs at least 2 distinct words');
+    }
+    
+    const stream = await this.createStream();
+    const chosen = [];
+    for (let i = 0; i < words; i++) {
+      chosen.push(unique[stream.randomInt(0, unique.length - 1)]);
+    }
+    
+    return {
+      passphrase: chosen.join(separator),
+      words,
+      entropyBits: words * Math.log2(unique.length)
+    };
+  }
+  
+  /**
+   * Generate a random password from a fresh seed
+   * Characters are drawn uniformly (rejection sampling) from a SeedStream
+   * seeded by generateSeed(). When character classes are required, whole
+   * candidates lacking one are rejected, so the result is uniform over all
+   * valid passwords and entropyBits counts only those.
+   * @param {Object} [options] - Password options
+   * @param {number} [options.length=20] - Password length in characters
+   * @param {string} [options.charset] - Allowed characters (default: letters,
+   *        digits and ASCII punctuation)
+   * @param {boolean|Array<string>} [options.requireClasses=true] - Require one
+   *        character of each class ('lower', 'upper', 'digit', 'symbol') present
+   *        in the charset; an array selects specific classes
+   * @returns {Promise<{password: string, length: number, charsetSize: number, entropyBits: number}>}
+   *          Password and its entropy in bits
+   * @throws {Error} If the options are invalid or entropy is insufficient
+   */
+  async generatePassword({ length = 20, charset, requireClasses = true } = {}) {
+    if (!Number.isInteger(length) || length < 1) {
+      throw new Error('generatePassword: length must be a positive integer');
+    }
+    
+    const characters = Array.from(new Set(Array.from(
+      charset === undefined ? Object.values(PASSWORD_CLASSES).join('') : charset
+    )));
+    if (characters.length < 2) {
+      throw new Error('generatePassword: charset needs at least 2 distinct characters');
+    }
+    
+    // Each required class, restricted to the charset. With requireClasses
+    // true, classes absent from the charset are simply not required.
+    const explicit = Array.isArray(requireClasses);
+    const classNames = explicit ? requireClasses : (requireClasses ? Object.keys(PASSWORD_CLASSES) : []);
+    const classes = [];
+    for (const name of classNames) {
+      if (!PASSWORD_CLASSES[name]) {
+        throw new Error(`generatePassword: unknown character class "${name}"`);
+      }
+      const members = characters.filter(c => PASSWORD_CLASSES[name].includes(c));
+      if (members.length > 0) {
+        classes.push(members);
+      } else if (explicit) {
+        throw new Error(`generatePassword: charset has no "${name}" characters`);
+      }
+    }
+    if (classes.length > length) {
+      throw new Error(`generatePassword: length ${length} cannot cover ${classes.length} required classes`);
+    }
+    
+    const stream = await this.createStream();
+    let password;
+    do {
+      password = [];
+      for (let i = 0; i < length; i++) {
+        password.push(characters[stream.randomInt(0, characters.length - 1)]);
+      }
+    } while (!classes.every(members => members.some(c => password.includes(c))));
+    
+    // Fraction of all strings containing every required class (inclusion-exclusion)
+    let validFraction = 0;
+    for (let mask = 0; mask < (1 << classes.length); mask++) {
+      let excluded = 0;
+      let sign = 1;
+      classes.forEach((members, i) => {
+        if (mask & (1 << i)) {
+          excluded += members.length;
+          sign = -sign;
+        }
+      });
+      validFraction += sign * Math.pow(1 - excluded / characters.length, length);
+    }
+    
+    return {
+      password: password.join(''),
+      length,
+      charsetSize: characters.length,
+      entropyBits: length * Math.log2(characters.length) + Math.log2(validFraction)
+    };
+  }
+  
+  /**
+   * Derive a Web Crypto key from a seed with HKDF-SHA-512
+   * 
+   * AES and HMAC keys come straight from crypto.subtle.deriveKey. Ed25519
+   * and X25519 (ECDH) private keys are built from 32 derived bytes and
+   * returned as a key pair. The HKDF info is always "ntrpRNG HKDF v1",
+   * the key type and the caller's label, so one label never yields
+   * related keys for different algorithms.
+   * 
+   * @param {Object} options - Derivation options
+   * @param {string} options.info - Non-empty purpose label (domain separation)
+   * @param {Uint8Array|string} [options.salt] - HKDF salt (string is UTF-8 encoded)
+   * @param {string|Object} [options.algorithm='AES-GCM'] - 'AES-GCM', 'AES-CTR', 'AES-CBC',
+   *        'AES-KW', 'HMAC', 'Ed25519', 'X25519' or 'ECDH' (X25519), or a Web Crypto
+   *        algorithm object ({ name, length } / { name, hash, length })
+   * @param {Array<string>} [options.usages] - Key usages (defaults per algorithm)
+   * @param {boolean} [options.extractable=false] - Whether the (private) key is extractable
+   * @param {Uint8Array|string} [options.seed] - 32/64-byte seed or hex string; a fresh
+   *        generateSeed() is used when omitted
+   * @returns {Promise<CryptoKey|CryptoKeyPair>} Secret key, or { privateKey, publicKey }
+   *          for Ed25519/X25519
+   * @throws {Error} On an invalid label, algorithm or seed, or insufficient entropy
+   */
+  async deriveKey({ info, salt, algorithm = 'AES-GCM', usages, extractable = false, seed } = {}) {
+    let params = typeof algorithm === 'string' ? { name: algorithm } : { ...algorithm };
+    if (params.name === 'ECDH') {
+      if (params.namedCurve !== undefined && params.namedCurve !== 'X25519') {
+        throw new Error('deriveKey: ECDH keys are only supported on X25519');
+      }
+      params = { name: 'X25519' };
+    }
+    
+    const type = DERIVED_KEY_TYPES[params.name];
+    if (!type) {
+      throw new Error(`deriveKey: unsupported algorithm "${params.name}". ` +
+                      `Supported: ${Object.keys(DERIVED_KEY_TYPES).join(', ')}, ECDH`);
+    }
+    params = { ...type.params, ...params };
+    
+    let purpose = params.name;
+    if (params.length !== undefined) purpose += `-${params.length}`;
+    if (params.hash !== undefined) purpose += `-${params.hash.name || params.hash}`;
+    
+    const hkdf = await this._hkdfParams(info, salt, purpose);
+    const keyMaterial = await this._hkdfKeyMaterial(seed);
+    const keyUsages = usages || type.usages;
+    
+    if (type.oid === undefined) {
+      return this.crypto.subtle.deriveKey(hkdf, keyMaterial, params, extractable, keyUsages);
+    }
+    
+    // RFC 8410 PKCS#8 wrapper around a raw 32-byte private key
+    const privateBytes = new Uint8Array(await this.crypto.subtle.deriveBits(hkdf, keyMaterial, 256));
+    const pkcs8 = this._concatBytes(
+      new Uint8Array([0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, type.oid,
+                      0x04, 0x22, 0x04, 0x20]),
+      privateBytes
+    );
+    privateBytes.fill(0);
+    
+    // The public key is recovered from a temporary extractable import
+    const exportable = await this.crypto.subtle.importKey('pkcs8', pkcs8, params, true, keyUsages);
+    const jwk = await this.crypto.subtle.exportKey('jwk', exportable);
+    const publicKey = await this.crypto.subtle.importKey(
+      'jwk', { kty: jwk.kty, crv: jwk.crv, x: jwk.x }, params, true, type.publicUsages
+    );
+    const privateKey = extractable
+      ? exportable
+      : await this.crypto.subtle.importKey('pkcs8', pkcs8, params, false, keyUsages);
+    pkcs8.fill(0);
+    
+    return { privateKey, publicKey };
+  }
+  
+  /**
+   * Derive raw bytes from a seed with HKDF-SHA-512
+   * The requested length is bound into the HKDF info, so outputs of
+   * different lengths for the same label are unrelated.
+   * @param {string} info - Non-empty purpose label (domain separation)
+   * @param {number} length - Output length in bits (multiple of 8, at most 130560)
+   * @param {Object} [options] - Derivation options
+   * @param {Uint8Array|string} [options.salt] - HKDF salt (string is UTF-8 encoded)
+   * @param {Uint8Array|string} [options.seed] - 32/64-byte seed or hex string; a fresh
+   *        generateSeed() is used when omitted
+   * @returns {Promise<Uint8Array>} length / 8 derived bytes
+   * @throws {Error} On an invalid label, length or seed, or insufficient entropy
+   */
+  async deriveBits(info, length, { salt, seed } = {}) {
+    if (!Number.isInteger(length) || length <= 0 || length % 8 !== 0 || length > HKDF_MAX_BITS) {
+      throw new Error(`deriveBits: length must be a positive multiple of 8 up to ${HKDF_MAX_BITS} bits`);
+    }
+    
+    const hkdf = await this._hkdfParams(info, salt, `bits-${length}`);
+    const keyMaterial = await this._hkdfKeyMaterial(seed);
+    return new Uint8Array(await this.crypto.subtle.deriveBits(hkdf, keyMaterial, length));
+  }
+  
+  /**
+   * Build HKDF-SHA-512 parameters with a domain-separated info
+   * @private
+   * @param {string} info - Caller's purpose label
+   * @param {Uint8Array|string} [salt] - HKDF salt
+   * @param {string} purpose - Output type bound into the info
+   * @returns {Promise<Object>} HkdfParams
+   * @throws {Error} If the label or salt is invalid
+   */
+  async _hkdfParams(info, salt, purpose) {
+    if (typeof info !== 'string' || info.length === 0) {
+      throw new Error('HKDF info must be a non-empty string label');
+    }
+    
+    const encoder = new TextEncoder();
+    if (salt === undefined) {
+      salt = new Uint8Array(0);
+    } else if (typeof salt === 'string') {
+      salt = encoder.encode(salt);
+    } else if (!(salt instanceof Uint8Array)) {
+      throw new Error('HKDF salt must be a Uint8Array or string');
+    }
+    
+    return {
+      name: 'HKDF',
+      hash: 'SHA-512',
+      salt,
+      info: encoder.encode(`${HKDF_LABEL}\0${purpose}\0${info}`)
+    };
+  }
+  
+  /**
+   * Import the HKDF input key material
+   * @private
+   * @param {Uint8Array|string} [seed] - Explicit seed, or undefined for generateSeed()
+   * @returns {Promise<CryptoKey>} HKDF base key
+   */
+  async _hkdfKeyMaterial(seed) {
+    await this._assertSelfTest();
+    const bytes = seed === undefined
+      ? await this.generateSeed()
+      : ntrpSeedStream._normalizeSeed(seed);
+    return this.crypto.subtle.importKey('raw', bytes, 'HKDF', false, ['deriveKey', 'deriveBits']);
+  }
+  
+  /**
+   * Get progress toward minimum entropy requirement
+   * @returns {Object} Progress information
+   */
+  getProgress() {
+    const currentEvents = this._getWeightedEventCount();
+    const entropyBits = this._getEstimatedBits();
+    
+    // Progress is limited by whichever requirement is further behind
+    const eventsPercentage = (currentEvents / 500) * 100;
+    const bitsPercentage = (entropyBits / REQUIRED_ENTROPY_BITS) * 100;
+    
+    return {
+      currentEvents: currentEvents,
+      requiredEvents: 500,
+      entropyBits: entropyBits,
+      requiredBits: REQUIRED_ENTROPY_BITS,
+      percentage: Math.min(100, eventsPercentage, bitsPercentage),
+      ready: currentEvents >= 500 && entropyBits >= REQUIRED_ENTROPY_BITS
+    };
+  }
+  
+  /**
+   * Get statistics about entropy collection
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      entropyPoolSize: this.entropyPool.length,
+      timerDeltasSize: this.timerDeltas.length,
+      jitterStreams: this._getJitterStats(),
+      isCollecting: this.isCollecting,
+      environment: this.environment,
+      headless: this.headless,
+      eventCount: { ...this.eventCount },
+      totalEvents: this._getWeightedEventCount(),
+      minEvents: this.minEvents,
+      entropyBits: this._getEstimatedBits(),
+      entropyBitsBySource: { ...this.entropyBits },
+      health: this._getHealthStats(),
+      timer: {
+        resolution: this.timerResolution,
+        crossOriginIsolated: this.crossOriginIsolated,
+        timingCredit: this._getTimingCredit()
+      },
+      botDetection: this.botDetection,
+      rejectedEvents: { ...this.rejectedEvents },
+      requiredBits: REQUIRED_ENTROPY_BITS,
+      seedsGenerated: this.seedsGenerated,
+      degradedSeeds: this.degradedSeeds,
+      seedFile: this.seedFile ? {
+        backend: this.seedFile.backend,
+        location: this.seedFile.location,
+        loaded: this.seedFile.loaded,
+        stores: this.seedFile.stores,
+        error: this.seedFile.error
+      } : null,
+      pipeline: this.pipeline,
+      worker: !this.useWorker ? 'off'
+        : this._workerFailed ? 'fallback'
+        : this._seedWorker ? 'active' : 'idle',
+      reuseEntropy: this.reuseEntropy,
+      testMode: this.testMode,
+      selfTest: this.selfTestResult ? {
+        passed: this.selfTestResult.passed,
+        failures: this.selfTestResult.failures.slice(),
+        timestamp: this.selfTestResult.timestamp
+      } : null,
+      accumulator: this.accumulator,
+      fortuna: this.fortuna ? {
+        poolSizes: this.fortuna.pools.map(pool => pool.size),
+        poolReseeds: this.fortuna.pools.map(pool => pool.reseeds),
+        reseedCount: this.fortuna.reseedCount
+      } : null,
+      drbg: this.drbg ? {
+        mechanism: this.drbg.mechanism,
+        predictionResistance: this.predictionResistance,
+        reseedCounter: this.drbg.reseedCounter,
+        reseedInterval: this.reseedInterval,
+        reseeds: this.drbg.reseeds,
+        bytesGenerated: this.drbg.bytesGenerated
+      } : null,
+      hasMinimumEntropy: this.hasMinimumEntropy()
+    };
+  }
+  
+  /**
+   * Health test summary per tested source
+   * @private
+   * @returns {Object} { [name]: { samples, quarantined, failure } }
+   */
+  _getHealthStats() {
+    const health = {};
+    for (const name in this.health) {
+      const state = this.health[name];
+      health[name] = {
+        samples: state.samples,
+        quarantined: state.quarantined,
+        failure: state.failure ? { ...state.failure } : null
+      };
+    }
+    return health;
+  }
+  
+  /**
+   * Status of each enabled jitter stream for getStats()
+   * @private
+   * @returns {Object} { active, samples } keyed by stream name
+   */
+  _getJitterStats() {
+    const jitter = this._jitter;
+    const running = {
+      'messagechannel': Boolean(jitter && jitter.channel),
+      'worker-ping': Boolean(jitter && jitter.worker && jitter.worker.probe),
+      'cpu-jitter': Boolean(jitter && jitter.worker)
+    };
+    const stats = {};
+    for (const name of this.jitterStreams) {
+      stats[name] = { active: running[name], samples: this.jitterDeltas[name].length };
+    }
+    return stats;
+  }
+  
+  /**
+   * Clear entropy pool
+   * Also resets the health tests, lifting every quarantine, and the
+   * synthetic input counters.
+   */
+  clearEntropy() {
+    this.entropyPool = [];
+    this.timerDeltas = [];
+    this.jitterDeltas = this._createJitterBuffers();
+    this.eventCount = this._createEventCount();
+    this.entropyBits = {};
+    this.estimatorState = {};
+    this.sourceEvents = {};
+    this.health = {};
+    this.botState = {};
+    this.rejectedEvents = this._createRejectedCounts();
+    this.poolState = null;
+    if (this.fortuna) {
+      this.fortuna = this._createFortunaState();
+    }
+    
+    this._emit('entropy-cleared');
+    this._notifyProgress();
+  }
+}
+
+/**
+ * Source of the seed worker script
+ * The pipeline methods listed in WORKER_PIPELINE_METHODS are copied from
+ * ntrpRNG.prototype into a plain object, so the worker runs exactly the
+ * in-thread code. Results are posted back with their buffers transferred.
+ * @private
+ * @returns {string} Worker script
+ */
+function _seedWorkerSource() {
+  const methods = WORKER_PIPELINE_METHODS.map(name => ntrpRNG.prototype[name].toString());
+  return `'use strict';
+(() => {
+  const isNode = typeof require === 'function' && typeof self === 'undefined';
+  const port = isNode ? require('worker_threads').parentPort : self;
+  const crypto = globalThis.crypto || require('crypto').webcrypto;
+  const PIPELINE_V2_LABEL = ${JSON.stringify(PIPELINE_V2_LABEL)};
+  const pipeline = {
+    crypto,
+    scheduler: { setTimeout: (fn, ms) => setTimeout(fn, ms) },
+    ${methods.join(',\n    ')}
+  };
+  
+  const controllers = new Map();
+  
+  const onMessage = async ({ id, config, job, progress, abort }) => {
+    if (abort) {
+      if (controllers.has(id)) controllers.get(id).abort();
+      return;
+    }
+    const controller = new AbortController();
+    controllers.set(id, controller);
+    const control = {
+      signal: controller.signal,
+      onProgress: progress ? (report) => port.postMessage({ id, progress: report }) : null
+    };
+    try {
+      Object.assign(pipeline, config);
+      const result = await pipeline._derivePipelineSeed(job, control);
+      const transfer = [result.seed, result.poolState].filter(Boolean).map(bytes => bytes.buffer);
+      port.postMessage({ id, result }, transfer);
+    } catch (error) {
+      port.postMessage({ id, error: (error && error.message) || String(error) });
+    } finally {
+      controllers.delete(id);
+    }
+  };
+  
+  if (isNode) {
+    port.on('message', onMessage);
+  } else {
+    port.onmessage = (event) => onMessage(event.data);
+  }
+  port.postMessage({ ready: true });
+})();
+`;
+}
+
+/**
+ * Source of the jitter worker script
+ * Answers { ping } messages with { pong } and, with the CPU-jitter loop
+ * enabled, posts { cpu: [durations] } every CPU_JITTER_INTERVAL_MS. Each
+ * sample times a data-dependent walk through CPU_JITTER_MEMORY bytes
+ * (jitterentropy-style), doubling the walk while it reads below
+ * JITTER_MIN_SAMPLE_MS.
+ * @private
+ * @param {boolean} cpu - Run the CPU-jitter loop
+ * @returns {string} Worker script
+ */
+function _jitterWorkerSource(cpu) {
+  return `'use strict';
+(() => {
+  const isNode = typeof require === 'function' && typeof self === 'undefined';
+  const port = isNode ? require('worker_threads').parentPort : self;
+  const now = typeof performance !== 'undefined' ? () => performance.now() : () => Date.now();
+  
+  const onMessage = (message) => {
+    if (message.ping) port.postMessage({ pong: true });
+  };
+  if (isNode) {
+    port.on('message', onMessage);
+  } else {
+    port.onmessage = (event) => onMessage(event.data);
+  }
+  if (!${cpu}) return;
+  
+  const memory = new Uint8Array(${CPU_JITTER_MEMORY});
+  let position = 0;
+  let rounds = 1;
+  
+  const sample = () => {
+    const start = now();
+    for (let i = 0; i < rounds * 64; i++) {
+      position = (position + 4099 + memory[position] * 64) % memory.length;
+      memory[position] = (memory[position] + 1) & 0xff;
+    }
+    return now() - start;
+  };
+  
+  setInterval(() => {
+    const samples = [];
+    const batchStart = now();
+    for (let i = 0; i < ${CPU_JITTER_BATCH} && now() - batchStart < ${CPU_JITTER_BUDGET_MS}; i++) {
+      const duration = sample();
+      if (duration < ${JITTER_MIN_SAMPLE_MS} && rounds < ${CPU_JITTER_MAX_ROUNDS}) {
+        rounds *= 2;
+      } else {
+        samples.push(duration);
+      }
+    }
+    if (samples.length > 0) port.postMessage({ cpu: samples });
+  }, ${CPU_JITTER_INTERVAL_MS});
+})();
+`;
+}
+
+/**
+ * ntrpSeedStream - Deterministic expansion of an ntrpRNG seed
+ * 
+ * Expands a 32- or 64-byte seed with the ChaCha20 block function
+ * (RFC 8439) into a synchronous stream of random values. The same seed
+ * always yields the same sequence, so passing an explicit seed makes
+ * results reproducible; streams created by ntrpRNG.createStream() are
+ * seeded from generateSeed().
+ * 
+ * All integer and selection helpers use rejection sampling, so results
+ * carry no modulo bias. Non-uniform samplers (normal, exponential,
+ * Poisson, binomial, weighted) draw only from this stream, so they are
+ * reproducible from the seed as well.
+ */
+class ntrpSeedStream {
+  /**
+   * Create a stream from a seed
+   * @param {Uint8Array|string} seed - 32 or 64 bytes, or the equivalent hex string.
+   *                                   64-byte seeds are folded (XOR) into a 256-bit key.
+   * @throws {Error} If the seed has the wrong type or length
+   */
+  constructor(seed) {
+    const bytes = ntrpSeedStream._normalizeSeed(seed);
+    this.seed = bytes.slice();
+    
+    const key = bytes.length === 64
+      ? bytes.subarray(0, 32).map((b, i) => b ^ bytes[32 + i])
+      : bytes;
+    const keyView = new DataView(key.buffer, key.byteOffset, 32);
+    
+    // ChaCha20 state: constants, key, block counter, nonce (zero)
+    this._state = new Uint32Array(16);
+    this._state.set([0x61707865, 0x3320646e, 0x79622d32, 0x6b206574], 0);
+    for (let i = 0; i < 8; i++) {
+      this._state[4 + i] = keyView.getUint32(i * 4, true);
+    }
+    
+    this._working = new Uint32Array(16);
+    this._block = new Uint8Array(64);
+    this._blockView = new DataView(this._block.buffer);
+    this._offset = 64;
+    this.bytesConsumed = 0;
+    
+    // Second Box–Muller variate, returned by the next normal() call
+    this._spareNormal = null;
+  }
+  
+  /**
+   * Validate and convert a seed to bytes
+   * @private
+   * @param {Uint8Array|string} seed - Seed bytes or hex
+   * @returns {Uint8Array} Seed bytes
+   */
+  static _normalizeSeed(seed) {
+    let bytes = seed;
+    if (typeof seed === 'string') {
+      if (!/^([0-9a-fA-F]{2})+$/.test(seed)) {
+        throw new Error('Seed string must be hexadecimal');
+      }
+      bytes = new Uint8Array(seed.length / 2);
+      for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(seed.substr(i * 2, 2), 16);
+      }
+    }
+    if (!(bytes instanceof Uint8Array) || (bytes.length !== 32 && bytes.length !== 64)) {
+      throw new Error('Seed must be 32 or 64 bytes (Uint8Array or hex string)');
+    }
+    return bytes;
+  }
+  
+  /**
+   * Compute the next ChaCha20 block into the output buffer
+   * @private
+   */
+  _refill() {
+    const x = this._working;
+    x.set(this._state);
+    
+    const quarterRound = (a, b, c, d) => {
+      x[a] = (x[a] + x[b]) >>> 0; x[d] ^= x[a]; x[d] = (x[d] << 16) | (x[d] >>> 16);
+      x[c] = (x[c] + x[d]) >>> 0; x[b] ^= x[c]; x[b] = (x[b] << 12) | (x[b] >>> 20);
+      x[a] = (x[a] + x[b]) >>> 0; x[d] ^= x[a]; x[d] = (x[d] << 8) | (x[d] >>> 24);
+      x[c] = (x[c] + x[d]) >>> 0; x[b] ^= x[c]; x[b] = (x[b] << 7) | (x[b] >>> 25);
+    };
+    
+    for (let i = 0; i < 10; i++) {
+      quarterRound(0, 4, 8, 12);
+      quarterRound(1, 5, 9, 13);
+      quarterRound(2, 6, 10, 14);
+      quarterRound(3, 7, 11, 15);
+      quarterRound(0, 5, 10, 15);
+      quarterRound(1, 6, 11, 12);
+      quarterRound(2, 7, 8, 13);
+      quarterRound(3, 4, 9, 14);
+    }
+    
+    for (let i = 0; i < 16; i++) {
+      this._blockView.setUint32(i * 4, (x[i] + this._state[i]) >>> 0, true);
+    }
+    
+    // 64-bit block counter (words 12-13)
+    this._state[12] = (this._state[12] + 1) >>> 0;
+    if (this._state[12] === 0) {
+      this._state[13] = (this._state[13] + 1) >>> 0;
+    }
+    this._offset = 0;
+  }
+  
+  /**
+   * Next n bytes of the stream
+   * @param {number} length - Number of bytes
+   * @returns {Uint8Array} Bytes
+   */
+  nextBytes(length) {
+    const output = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+      if (this._offset === 64) this._refill();
+      output[i] = this._block[this._offset++];
+    }
+    this.bytesConsumed += length;
+    return output;
+  }
+  
+  /**
+   * Next unsigned 32-bit integer
+   * @returns {number} Integer in [0, 2^32)
+   */
+  nextUint32() {
+    const bytes = this.nextBytes(4);
+    return ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0;
+  }
+  
+  /**
+   * Uniform float with 53 bits of precision
+   * @returns {number} Float in [0, 1)
+   */
+  randomFloat() {
+    const high = this.nextUint32() >>> 5; // 27 bits
+    const low = this.nextUint32() >>> 6;  // 26 bits
+    return (high * 67108864 + low) / 9007199254740992;
+  }
+  
+  /**
+   * Uniform integer in [min, max] (inclusive) via rejection sampling
+   * @param {number} min - Lower bound (safe integer)
+   * @param {number} max - Upper bound (safe integer, ≥ min)
+   * @returns {number} Integer
+   * @throws {Error} If the bounds are invalid or the range exceeds 2^53
+   */
+  randomInt(min, max) {
+    if (!Number.isSafeInteger(min) || !Number.isSafeInteger(max) || max < min) {
+      throw new Error('randomInt: min and max must be safe integers with min <= max');
+    }
+    const range = max - min + 1;
+    if (range > 9007199254740992) {
+      throw new Error('randomInt: range must not exceed 2^53');
+    }
+    
+    if (range <= 0x100000000) {
+      // Largest multiple of range below 2^32
+      const limit = 0x100000000 - (0x100000000 % range);
+      let value;
+      do {
+        value = this.nextUint32();
+      } while (value >= limit);
+      return min + (value % range);
+    }
+    
+    // 53-bit candidates for ranges above 2^32
+    const limit = 9007199254740992 - (9007199254740992 % range);
+    let value;
+    do {
+      value = (this.nextUint32() >>> 11) * 4294967296 + this.nextUint32();
+    } while (value >= limit);
+    return min + (value % range);
+  }
+  
+  /**
+   * Bernoulli trial
+   * @param {number} [p=0.5] - Probability of true, in [0, 1]
+   * @returns {boolean} Result
+   * @throws {Error} If p is outside [0, 1]
+   */
+  randomBoolean(p = 0.5) {
+    if (typeof p !== 'number' || !(p >= 0 && p <= 1)) {
+      throw new Error('randomBoolean: p must be a number in [0, 1]');
+    }
+    return this.randomFloat() < p;
+  }
+  
+  /**
+   * Shuffle an array in place (Fisher–Yates)
+   * @param {Array} array - Array to shuffle
+   * @returns {Array} The same array
+   */
+  shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = this.randomInt(0, i);
+      const tmp = array[i];
+      array[i] = array[j];
+      array[j] = tmp;
+    }
+    return array;
+  }
+  
+  /**
+   * Pick k distinct elements without replacement (partial Fisher–Yates)
+   * @param {Array} array - Source array (not modified)
+   * @param {number} k - Sample size (0 ≤ k ≤ array.length)
+   * @returns {Array} Sampled elements, in selection order
+   * @throws {Error} If k is out of range
+   */
+  sample(array, k) {
+    if (!Number.isInteger(k) || k < 0 || k > array.length) {
+      throw new Error(`sample: k must be an integer between 0 and ${array.length}`);
+    }
+    
+    const pool = Array.from(array);
+    for (let i = 0; i < k; i++) {
+      const j = this.randomInt(i, pool.length - 1);
+      const tmp = pool[i];
+      pool[i] = pool[j];
+      pool[j] = tmp;
+    }
+    return pool.slice(0, k);
+  }
+  
+  /**
+   * Normal (Gaussian) variate, Box–Muller transform
+   * Variates are produced in pairs; the second is cached for the next call.
+   * @param {number} [mean=0] - Mean
+   * @param {number} [stdDev=1] - Standard deviation (≥ 0)
+   * @returns {number} Sample
+   * @throws {Error} If stdDev is negative
+   */
+  normal(mean = 0, stdDev = 1) {
+    if (!(stdDev >= 0)) {
+      throw new Error('normal: stdDev must be a non-negative number');
+    }
+    
+    if (this._spareNormal !== null) {
+      const spare = this._spareNormal;
+      this._spareNormal = null;
+      return mean + stdDev * spare;
+    }
+    
+    const u1 = 1 - this.randomFloat(); // (0, 1], avoids log(0)
+    const u2 = this.randomFloat();
+    const radius = Math.sqrt(-2 * Math.log(u1));
+    const theta = 2 * Math.PI * u2;
+    this._spareNormal = radius * Math.sin(theta);
+    return mean + stdDev * radius * Math.cos(theta);
+  }
+  
+  /**
+   * Exponential variate (inversion)
+   * @param {number} [rate=1] - Rate λ (> 0)
+   * @returns {number} Sample, mean 1/λ
+   * @throws {Error} If rate is not positive
+   */
+  exponential(rate = 1) {
+    if (!(rate > 0)) {
+      throw new Error('exponential: rate must be a positive number');
+    }
+    return -Math.log(1 - this.randomFloat()) / rate;
+  }
+  
+  /**
+   * Poisson variate
+   * Multiplication method for λ < 10, Hörmann's PTRS transformed
+   * rejection for larger λ.
+   * @param {number} lambda - Mean λ (≥ 0)
+   * @returns {number} Non-negative integer
+   * @throws {Error} If lambda is negative or not finite
+   */
+  poisson(lambda) {
+    if (!(lambda >= 0) || !Number.isFinite(lambda)) {
+      throw new Error('poisson: lambda must be a finite non-negative number');
+    }
+    if (lambda === 0) return 0;
+    
+    if (lambda < 10) {
+      const limit = Math.exp(-lambda);
+      let k = 0;
+      let product = this.randomFloat();
+      while (product > limit) {
+        k++;
+        product *= this.randomFloat();
+      }
+      return k;
+    }
+    
+    const sqrtLambda = Math.sqrt(lambda);
+    const logLambda = Math.log(lambda);
+    const b = 0.931 + 2.53 * sqrtLambda;
+    const a = -0.059 + 0.02483 * b;
+    const invAlpha = 1.1239 + 1.1328 / (b - 3.4);
+    const vr = 0.9277 - 3.6224 / (b - 2);
+    
+    for (;;) {
+      const u = this.randomFloat() - 0.5;
+      const v = this.randomFloat();
+      const us = 0.5 - Math.abs(u);
+      const k = Math.floor((2 * a / us + b) * u + lambda + 0.43);
+      
+      if (us >= 0.07 && v <= vr) return k;
+      if (k < 0 || (us < 0.013 && v > us)) continue;
+      if (Math.log(v) + Math.log(invAlpha) - Math.log(a / (us * us) + b) <=
+          -lambda + k * logLambda - ntrpSeedStream._logGamma(k + 1)) {
+        return k;
+      }
+    }
+  }
+  
+  /**
+   * Binomial variate
+   * Inversion for n·min(p, 1-p) < 10, Hörmann's BTRS transformed
+   * rejection otherwise.
+   * @param {number} n - Trials (non-negative integer)
+   * @param {number} p - Success probability in [0, 1]
+   * @returns {number} Successes in [0, n]
+   * @throws {Error} If n or p is invalid
+   */
+  binomial(n, p) {
+    if (!Number.isSafeInteger(n) || n < 0) {
+      throw new Error('binomial: n must be a non-negative integer');
+    }
+    if (typeof p !== 'number' || !(p >= 0 && p <= 1)) {
+      throw new Error('binomial: p must be a number in [0, 1]');
+    }
+    if (p > 0.5) {
+      return n - this.binomial(n, 1 - p);
+    }
+    if (n === 0 || p === 0) return 0;
+    
+    const q = 1 - p;
+    if (n * p < 10) {
+      // Sequential search of the CDF
+      const ratio = p / q;
+      let prob = Math.pow(q, n);
+      let u = this.randomFloat();
+      let k = 0;
+      while (u >= prob && k < n) {
+        u -= prob;
+        k++;
+        prob *= ratio * (n - k + 1) / k;
+      }
+      return k;
+    }
+    
+    const spq = Math.sqrt(n * p * q);
+    const b = 1.15 + 2.53 * spq;
+    const a = -0.0873 + 0.0248 * b + 0.01 * p;
+    const c = n * p + 0.5;
+    const vr = 0.92 - 4.2 / b;
+    const alpha = (2.83 + 5.1 / b) * spq;
+    const logRatio = Math.log(p / q);
+    const m = Math.floor((n + 1) * p);
+    const h = ntrpSeedStream._logGamma(m + 1) + ntrpSeedStream._logGamma(n - m + 1);
+    
+    for (;;) {
+      const u = this.randomFloat() - 0.5;
+      let v = this.randomFloat();
+      const us = 0.5 - Math.abs(u);
+      const k = Math.floor((2 * a / us + b) * u + c);
+      
+      if (k < 0 || k > n) continue;
+      if (us >= 0.07 && v <= vr) return k;
+      
+      v = Math.log(v * alpha / (a / (us * us) + b));
+      if (v <= h - ntrpSeedStream._logGamma(k + 1) - ntrpSeedStream._logGamma(n - k + 1) +
+               (k - m) * logRatio) {
+        return k;
+      }
+    }
+  }
+  
+  /**
+   * Index drawn with probability proportional to its weight
+   * @param {Array<number>} weights - Non-negative weights, at least one positive
+   * @returns {number} Index into weights
+   * @throws {Error} If the weights are invalid
+   */
+  weightedIndex(weights) {
+    const cumulative = new Array(weights.length);
+    let total = 0;
+    for (let i = 0; i < weights.length; i++) {
+      const weight = weights[i];
+      if (typeof weight !== 'number' || !(weight >= 0) || !Number.isFinite(weight)) {
+        throw new Error('weightedIndex: weights must be finite non-negative numbers');
+      }
+      total += weight;
+      cumulative[i] = total;
+    }
+    if (!(total > 0)) {
+      throw new Error('weightedIndex: at least one weight must be positive');
+    }
+    
+    // Binary search for the first cumulative weight above the target
+    const target = this.randomFloat() * total;
+    let low = 0;
+    let high = cumulative.length - 1;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (cumulative[mid] > target) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    return low;
+  }
+  
+  /**
+   * Element drawn with probability proportional to its weight
+   * @param {Array} items - Candidates
+   * @param {Array<number>} weights - Weight per candidate
+   * @returns {*} Selected item
+   * @throws {Error} If lengths differ or the weights are invalid
+   */
+  weightedChoice(items, weights) {
+    if (items.length !== weights.length) {
+      throw new Error('weightedChoice: items and weights must have the same length');
+    }
+    return items[this.weightedIndex(weights)];
+  }
+  
+  /**
+   * ln Γ(x) for x > 0 (Lanczos approximation, g = 7)
+   * @private
+   * @param {number} x - Argument
+   * @returns {number} ln Γ(x)
+   */
+  static _logGamma(x) {
+    const coefficients = [
+      0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+      771.32342877765313, -176.61502916214059, 12.507343278686905,
+      -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+    ];
+    if (x < 0.5) {
+      return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - ntrpSeedStream._logGamma(1 - x);
+    }
+    
+    x -= 1;
+    let sum = coefficients[0];
+    for (let i = 1; i < coefficients.length; i++) {
+      sum += coefficients[i] / (x + i);
+    }
+    const t = x + 7.5;
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+  }
+}
+
+// Byte encoders. Every codec has encode(bytes, options) → string and
+// decode(string, options) → Uint8Array; base58check returns Promises.
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BECH32_ALPHABET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const Z85_ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ.-:+=^!/*?&<>()[]{}@%$#';
+const BASE32_LOOKUP = _alphabetIndex(BASE32_ALPHABET);
+const BASE58_LOOKUP = _alphabetIndex(BASE58_ALPHABET);
+const BECH32_LOOKUP = _alphabetIndex(BECH32_ALPHABET);
+const Z85_LOOKUP = _alphabetIndex(Z85_ALPHABET);
+
+// Checksum constants: BIP173 (Bech32) and BIP350 (Bech32m)
+const BECH32_CONST = 1;
+const BECH32M_CONST = 0x2bc830a3;
+
+/**
+ * Reverse lookup table for an alphabet (-1 for characters outside it)
+ * @private
+ */
+function _alphabetIndex(alphabet) {
+  const index = new Int16Array(128).fill(-1);
+  for (let i = 0; i < alphabet.length; i++) {
+    index[alphabet.charCodeAt(i)] = i;
+  }
+  return (char) => {
+    const code = char.charCodeAt(0);
+    return code < 128 ? index[code] : -1;
+  };
+}
+
+/**
+ * Regroup a bit stream between word sizes (e.g. 8 → 5 bits for Bech32)
+ * @private
+ * @throws {Error} If decoding leaves non-zero or over-long padding
+ */
+function _convertBits(data, fromBits, toBits, pad) {
+  let accumulator = 0;
+  let bits = 0;
+  const output = [];
+  const maxValue = (1 << toBits) - 1;
+  for (const value of data) {
+    accumulator = (accumulator << fromBits) | value;
+    bits += fromBits;
+    while (bits >= toBits) {
+      bits -= toBits;
+      output.push((accumulator >> bits) & maxValue);
+    }
+    accumulator &= (1 << bits) - 1;
+  }
+  if (pad) {
+    if (bits > 0) output.push((accumulator << (toBits - bits)) & maxValue);
+  } else if (bits >= fromBits || accumulator !== 0) {
+    throw new Error('Invalid padding');
+  }
+  return output;
+}
+
+/**
+ * BIP173 checksum polynomial over hrp expansion and data words
+ * @private
+ */
+function _bech32Polymod(hrp, words) {
+  const generator = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  const values = [];
+  for (let i = 0; i < hrp.length; i++) values.push(hrp.charCodeAt(i) >> 5);
+  values.push(0);
+  for (let i = 0; i < hrp.length; i++) values.push(hrp.charCodeAt(i) & 31);
+  
+  let checksum = 1;
+  for (const value of values.concat(words)) {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) checksum ^= generator[i];
+    }
+  }
+  return checksum >>> 0;
+}
+
+/**
+ * Bech32/Bech32m codec for one checksum constant
+ * @private
+ */
+function _createBech32Codec(name, constant) {
+  return {
+    encode(bytes, { hrp, limit = 90 } = {}) {
+      if (typeof hrp !== 'string' || !/^[\x21-\x7e]+$/.test(hrp) ||
+          (hrp !== hrp.toLowerCase() && hrp !== hrp.toUpperCase())) {
+        throw new Error(`${name}: hrp must be 1+ printable ASCII characters of a single case`);
+      }
+      hrp = hrp.toLowerCase();
+      const words = _convertBits(bytes, 8, 5, true);
+      if (hrp.length + 7 + words.length > limit) {
+        throw new Error(`${name}: encoded length exceeds limit of ${limit} characters`);
+      }
+      
+      const polymod = _bech32Polymod(hrp, words.concat([0, 0, 0, 0, 0, 0])) ^ constant;
+      let result = hrp + '1';
+      for (const word of words) result += BECH32_ALPHABET[word];
+      for (let i = 0; i < 6; i++) result += BECH32_ALPHABET[(polymod >>> (5 * (5 - i))) & 31];
+      return result;
+    },
+    
+    decode(string, { hrp, limit = 90 } = {}) {
+      if (typeof string !== 'string' || string.length > limit) {
+        throw new Error(`${name}: input must be a string of at most ${limit} characters`);
+      }
+      if (string !== string.toLowerCase() && string !== string.toUpperCase()) {
+        throw new Error(`${name}: mixed-case string`);
+      }
+      string = string.toLowerCase();
+      
+      const separator = string.lastIndexOf('1');
+      if (separator < 1 || separator + 7 > string.length) {
+        throw new Error(`${name}: missing separator or checksum`);
+      }
+      const prefix = string.slice(0, separator);
+      if (!/^[\x21-\x7e]+$/.test(prefix)) {
+        throw new Error(`${name}: invalid hrp characters`);
+      }
+      if (hrp !== undefined && prefix !== hrp.toLowerCase()) {
+        throw new Error(`${name}: expected hrp "${hrp.toLowerCase()}", got "${prefix}"`);
+      }
+      
+      const words = [];
+      for (const char of string.slice(separator + 1)) {
+        const value = BECH32_LOOKUP(char);
+        if (value < 0) throw new Error(`${name}: invalid character "${char}"`);
+        words.push(value);
+      }
+      if (_bech32Polymod(prefix, words) !== constant) {
+        throw new Error(`${name}: invalid checksum`);
+      }
+      
+      return Uint8Array.from(_convertBits(words.slice(0, -6), 5, 8, false));
+    }
+  };
+}
+
+const CODECS = {
+  hex: {
+    encode(bytes) {
+      let result = '';
+      for (let i = 0; i < bytes.length; i++) {
+        result += bytes[i].toString(16).padStart(2, '0');
+      }
+      return result;
+    },
+    decode(string) {
+      if (typeof string !== 'string' || !/^([0-9a-fA-F]{2})*$/.test(string)) {
+        throw new Error('hex: invalid input');
+      }
+      const bytes = new Uint8Array(string.length / 2);
+      for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(string.substr(i * 2, 2), 16);
+      }
+      return bytes;
+    }
+  },
+  
+  // RFC 4648 §4 (padded by default)
+  base64: {
+    encode(bytes, { padding = true } = {}) {
+      // Chunked: spreading a large buffer into fromCharCode overflows the stack
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+      }
+      const result = btoa(binary);
+      return padding ? result : result.replace(/=+$/, '');
+    },
+    decode(string) {
+      const data = typeof string === 'string' ? string.replace(/=+$/, '') : '';
+      if (typeof string !== 'string' || !/^[A-Za-z0-9+/]*={0,2}$/.test(string) ||
+          data.length % 4 === 1 || (data !== string && string.length % 4 !== 0)) {
+        throw new Error('base64: invalid input');
+      }
+      const binary = atob(data.padEnd(Math.ceil(data.length / 4) * 4, '='));
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+      }
+      return bytes;
+    }
+  },
+  
+  // RFC 4648 §5 (URL/filename-safe alphabet, unpadded by default)
+  base64url: {
+    encode(bytes, { padding = false } = {}) {
+      return CODECS.base64.encode(bytes, { padding }).replace(/\+/g, '-').replace(/\//g, '_');
+    },
+    decode(string) {
+      if (typeof string !== 'string' || /[+/]/.test(string)) {
+        throw new Error('base64url: invalid input');
+      }
+      return CODECS.base64.decode(string.replace(/-/g, '+').replace(/_/g, '/'));
+    }
+  },
+  
+  // RFC 4648 §6 (padded by default; decoding is case-insensitive)
+  base32: {
+    encode(bytes, { padding = true } = {}) {
+      let result = '';
+      for (const word of _convertBits(bytes, 8, 5, true)) {
+        result += BASE32_ALPHABET[word];
+      }
+      return padding ? result.padEnd(Math.ceil(result.length / 8) * 8, '=') : result;
+    },
+    decode(string) {
+      if (typeof string !== 'string') {
+        throw new Error('base32: invalid input');
+      }
+      const data = string.toUpperCase().replace(/=+$/, '');
+      if ([1, 3, 6].includes(data.length % 8)) {
+        throw new Error('base32: invalid length');
+      }
+      const words = [];
+      for (const char of data) {
+        const value = BASE32_LOOKUP(char);
+        if (value < 0) throw new Error(`base32: invalid character "${char}"`);
+        words.push(value);
+      }
+      return Uint8Array.from(_convertBits(words, 5, 8, false));
+    }
+  },
+  
+  // Bitcoin alphabet; each leading zero byte becomes '1'
+  base58: {
+    encode(bytes) {
+      let zeros = 0;
+      while (zeros < bytes.length && bytes[zeros] === 0) zeros++;
+      
+      // Base conversion 256 → 58, little-endian digits
+      const digits = [];
+      for (let i = zeros; i < bytes.length; i++) {
+        let carry = bytes[i];
+        for (let j = 0; j < digits.length; j++) {
+          carry += digits[j] << 8;
+          digits[j] = carry % 58;
+          carry = (carry / 58) | 0;
+        }
+        while (carry > 0) {
+          digits.push(carry % 58);
+          carry = (carry / 58) | 0;
+        }
+      }
+      
+      let result = '1'.repeat(zeros);
+      for (let i = digits.length - 1; i >= 0; i--) {
+        result += BASE58_ALPHABET[digits[i]];
+      }
+      return result;
+    },
+    decode(string) {
+      if (typeof string !== 'string') {
+        throw new Error('base58: invalid input');
+      }
+      let zeros = 0;
+      while (zeros < string.length && string[zeros] === '1') zeros++;
+      
+      const bytes = [];
+      for (let i = zeros; i < string.length; i++) {
+        let carry = BASE58_LOOKUP(string[i]);
+        if (carry < 0) throw new Error(`base58: invalid character "${string[i]}"`);
+        for (let j = 0; j < bytes.length; j++) {
+          carry += bytes[j] * 58;
+          bytes[j] = carry & 0xff;
+          carry >>= 8;
+        }
+        while (carry > 0) {
+          bytes.push(carry & 0xff);
+          carry >>= 8;
+        }
+      }
+      
+      const result = new Uint8Array(zeros + bytes.length);
+      for (let i = 0; i < bytes.length; i++) {
+        result[result.length - 1 - i] = bytes[i];
+      }
+      return result;
+    }
+  },
+  
+  // Base58 with a 4-byte double-SHA-256 checksum (async: Web Crypto)
+  base58check: {
+    async encode(bytes) {
+      const checksum = await crypto.subtle.digest('SHA-256', await crypto.subtle.digest('SHA-256', bytes));
+      const data = new Uint8Array(bytes.length + 4);
+      data.set(bytes);
+      data.set(new Uint8Array(checksum, 0, 4), bytes.length);
+      return CODECS.base58.encode(data);
+    },
+    async decode(string) {
+      const data = CODECS.base58.decode(string);
+      if (data.length < 4) {
+        throw new Error('base58check: input too short');
+      }
+      const payload = data.slice(0, -4);
+      const checksum = new Uint8Array(
+        await crypto.subtle.digest('SHA-256', await crypto.subtle.digest('SHA-256', payload))
+      );
+      for (let i = 0; i < 4; i++) {
+        if (checksum[i] !== data[payload.length + i]) {
+          throw new Error('base58check: invalid checksum');
+        }
+      }
+      return payload;
+    }
+  },
+  
+  // BIP173 / BIP350; options.hrp is required, options.limit defaults to 90 characters
+  bech32: _createBech32Codec('bech32', BECH32_CONST),
+  bech32m: _createBech32Codec('bech32m', BECH32M_CONST),
+  
+  // ZeroMQ RFC 32 (input length must be a multiple of 4 bytes)
+  z85: {
+    encode(bytes) {
+      if (bytes.length % 4 !== 0) {
+        throw new Error('z85: input length must be a multiple of 4 bytes');
+      }
+      let result = '';
+      for (let i = 0; i < bytes.length; i += 4) {
+        let value = ((bytes[i] << 24) | (bytes[i + 1] << 16) | (bytes[i + 2] << 8) | bytes[i + 3]) >>> 0;
+        let block = '';
+        for (let j = 0; j < 5; j++) {
+          block = Z85_ALPHABET[value % 85] + block;
+          value = Math.floor(value / 85);
+        }
+        result += block;
+      }
+      return result;
+    },
+    decode(string) {
+      if (typeof string !== 'string' || string.length % 5 !== 0) {
+        throw new Error('z85: input length must be a multiple of 5 characters');
+      }
+      const bytes = new Uint8Array(string.length / 5 * 4);
+      for (let i = 0; i < string.length; i += 5) {
+        let value = 0;
+        for (let j = 0; j < 5; j++) {
+          const digit = Z85_LOOKUP(string[i + j]);
+          if (digit < 0) throw new Error(`z85: invalid character "${string[i + j]}"`);
+          value = value * 85 + digit;
+        }
+        if (value > 0xffffffff) {
+          throw new Error('z85: block value out of range');
+        }
+        const offset = i / 5 * 4;
+        bytes[offset] = value >>> 24;
+        bytes[offset + 1] = (value >>> 16) & 0xff;
+        bytes[offset + 2] = (value >>> 8) & 0xff;
+        bytes[offset + 3] = value & 0xff;
+      }
+      return bytes;
+    }
+  }
+};
+
+// BIP39 English wordlist (2048 words, SHA-256 of the canonical english.txt:
+// 2f5eed53a4727b4bf8880d8f3f199efc90e58503646d9ff8eff3a2ed3b24dbda)
+const BIP39_ENGLISH = `
+  abandon ability able about above absent absorb abstract absurd abuse access accident account
+  accuse achieve acid acoustic acquire across act action actor actress actual adapt add addict
+  address adjust admit adult advance advice aerobic affair afford afraid again age agent agree
+  ahead aim air airport aisle alarm album alcohol alert alien all alley allow almost alone alpha
+  already also alter always amateur amazing among amount amused analyst anchor ancient anger angle
+  angry animal ankle announce annual another answer antenna antique anxiety any apart apology
+  appear apple approve april arch arctic area arena argue arm armed armor army around arrange
+  arrest arrive arrow art artefact artist artwork ask aspect assault asset assist assume asthma
+  athlete atom attack attend attitude attract auction audit august aunt author auto autumn average
+  avocado avoid awake aware away awesome awful awkward axis baby bachelor bacon badge bag balance
+  balcony ball bamboo banana banner bar barely bargain barrel base basic basket battle beach bean
+  beauty because become beef before begin behave behind believe below belt bench benefit best
+  betray better between beyond bicycle bid bike bind biology bird birth bitter black blade blame
+  blanket blast bleak bless blind blood blossom blouse blue blur blush board boat body boil bomb
+  bone bonus book boost border boring borrow boss bottom bounce box boy bracket brain brand brass
+  brave bread breeze brick bridge brief bright bring brisk broccoli broken bronze broom brother
+  brown brush bubble buddy budget buffalo build bulb bulk bullet bundle bunker burden burger burst
+  bus business busy butter buyer buzz cabbage cabin cable cactus cage cake call calm camera camp
+  can canal cancel candy cannon canoe canvas canyon capable capital captain car carbon card cargo
+  carpet carry cart case cash casino castle casual cat catalog catch category cattle caught cause
+  caution cave ceiling celery cement census century cereal certain chair chalk champion change
+  chaos chapter charge chase chat cheap check cheese chef cherry chest chicken chief child chimney
+  choice choose chronic chuckle chunk churn cigar cinnamon circle citizen city civil claim clap
+  clarify claw clay clean clerk clever click client cliff climb clinic clip clock clog close cloth
+  cloud clown club clump cluster clutch coach coast coconut code coffee coil coin collect color
+  column combine come comfort comic common company concert conduct confirm congress connect
+  consider control convince cook cool copper copy coral core corn correct cost cotton couch
+  country couple course cousin cover coyote crack cradle craft cram crane crash crater crawl crazy
+  cream credit creek crew cricket crime crisp critic crop cross crouch crowd crucial cruel cruise
+  crumble crunch crush cry crystal cube culture cup cupboard curious current curtain curve cushion
+  custom cute cycle dad damage damp dance danger daring dash daughter dawn day deal debate debris
+  decade december decide decline decorate decrease deer defense define defy degree delay deliver
+  demand demise denial dentist deny depart depend deposit depth deputy derive describe desert
+  design desk despair destroy detail detect develop device devote diagram dial diamond diary dice
+  diesel diet differ digital dignity dilemma dinner dinosaur direct dirt disagree discover disease
+  dish dismiss disorder display distance divert divide divorce dizzy doctor document dog doll
+  dolphin domain donate donkey donor door dose double dove draft dragon drama drastic draw dream
+  dress drift drill drink drip drive drop drum dry duck dumb dune during dust dutch duty dwarf
+  dynamic eager eagle early earn earth easily east easy echo ecology economy edge edit educate
+  effort egg eight either elbow elder electric elegant element elephant elevator elite else embark
+  embody embrace emerge emotion employ empower empty enable enact end endless endorse enemy energy
+  enforce engage engine enhance enjoy enlist enough enrich enroll ensure enter entire entry
+  envelope episode equal equip era erase erode erosion error erupt escape essay essence estate
+  eternal ethics evidence evil evoke evolve exact example excess exchange excite exclude excuse
+  execute exercise exhaust exhibit exile exist exit exotic expand expect expire explain expose
+  express extend extra eye eyebrow fabric face faculty fade faint faith fall false fame family
+  famous fan fancy fantasy farm fashion fat fatal father fatigue fault favorite feature february
+  federal fee feed feel female fence festival fetch fever few fiber fiction field figure file film
+  filter final find fine finger finish fire firm first fiscal fish fit fitness fix flag flame
+  flash flat flavor flee flight flip float flock floor flower fluid flush fly foam focus fog foil
+  fold follow food foot force forest forget fork fortune forum forward fossil foster found fox
+  fragile frame frequent fresh friend fringe frog front frost frown frozen fruit fuel fun funny
+  furnace fury future gadget gain galaxy gallery game gap garage garbage garden garlic garment gas
+  gasp gate gather gauge gaze general genius genre gentle genuine gesture ghost giant gift giggle
+  ginger giraffe girl give glad glance glare glass glide glimpse globe gloom glory glove glow glue
+  goat goddess gold good goose gorilla gospel gossip govern gown grab grace grain grant grape
+  grass gravity great green grid grief grit grocery group grow grunt guard guess guide guilt
+  guitar gun gym habit hair half hammer hamster hand happy harbor hard harsh harvest hat have hawk
+  hazard head health heart heavy hedgehog height hello helmet help hen hero hidden high hill hint
+  hip hire history hobby hockey hold hole holiday hollow home honey hood hope horn horror horse
+  hospital host hotel hour hover hub huge human humble humor hundred hungry hunt hurdle hurry hurt
+  husband hybrid ice icon idea identify idle ignore ill illegal illness image imitate immense
+  immune impact impose improve impulse inch include income increase index indicate indoor industry
+  infant inflict inform inhale inherit initial inject injury inmate inner innocent input inquiry
+  insane insect inside inspire install intact interest into invest invite involve iron island
+  isolate issue item ivory jacket jaguar jar jazz jealous jeans jelly jewel job join joke journey
+  joy judge juice jump jungle junior junk just kangaroo keen keep ketchup key kick kid kidney kind
+  kingdom kiss kit kitchen kite kitten kiwi knee knife knock know lab label labor ladder lady lake
+  lamp language laptop large later latin laugh laundry lava law lawn lawsuit layer lazy leader
+  leaf learn leave lecture left leg legal legend leisure lemon lend length lens leopard lesson
+  letter level liar liberty library license life lift light like limb limit link lion liquid list
+  little live lizard load loan lobster local lock logic lonely long loop lottery loud lounge love
+  loyal lucky luggage lumber lunar lunch luxury lyrics machine mad magic magnet maid mail main
+  major make mammal man manage mandate mango mansion manual maple marble march margin marine
+  market marriage mask mass master match material math matrix matter maximum maze meadow mean
+  measure meat mechanic medal media melody melt member memory mention menu mercy merge merit merry
+  mesh message metal method middle midnight milk million mimic mind minimum minor minute miracle
+  mirror misery miss mistake mix mixed mixture mobile model modify mom moment monitor monkey
+  monster month moon moral more morning mosquito mother motion motor mountain mouse move movie
+  much muffin mule multiply muscle museum mushroom music must mutual myself mystery myth naive
+  name napkin narrow nasty nation nature near neck need negative neglect neither nephew nerve nest
+  net network neutral never news next nice night noble noise nominee noodle normal north nose
+  notable note nothing notice novel now nuclear number nurse nut oak obey object oblige obscure
+  observe obtain obvious occur ocean october odor off offer office often oil okay old olive
+  olympic omit once one onion online only open opera opinion oppose option orange orbit orchard
+  order ordinary organ orient original orphan ostrich other outdoor outer output outside oval oven
+  over own owner oxygen oyster ozone pact paddle page pair palace palm panda panel panic panther
+  paper parade parent park parrot party pass patch path patient patrol pattern pause pave payment
+  peace peanut pear peasant pelican pen penalty pencil people pepper perfect permit person pet
+  phone photo phrase physical piano picnic picture piece pig pigeon pill pilot pink pioneer pipe
+  pistol pitch pizza place planet plastic plate play please pledge pluck plug plunge poem poet
+  point polar pole police pond pony pool popular portion position possible post potato pottery
+  poverty powder power practice praise predict prefer prepare present pretty prevent price pride
+  primary print priority prison private prize problem process produce profit program project
+  promote proof property prosper protect proud provide public pudding pull pulp pulse pumpkin
+  punch pupil puppy purchase purity purpose purse push put puzzle pyramid quality quantum quarter
+  question quick quit quiz quote rabbit raccoon race rack radar radio rail rain raise rally ramp
+  ranch random range rapid rare rate rather raven raw razor ready real reason rebel rebuild recall
+  receive recipe record recycle reduce reflect reform refuse region regret regular reject relax
+  release relief rely remain remember remind remove render renew rent reopen repair repeat replace
+  report require rescue resemble resist resource response result retire retreat return reunion
+  reveal review reward rhythm rib ribbon rice rich ride ridge rifle right rigid ring riot ripple
+  risk ritual rival river road roast robot robust rocket romance roof rookie room rose rotate
+  rough round route royal rubber rude rug rule run runway rural sad saddle sadness safe sail salad
+  salmon salon salt salute same sample sand satisfy satoshi sauce sausage save say scale scan
+  scare scatter scene scheme school science scissors scorpion scout scrap screen script scrub sea
+  search season seat second secret section security seed seek segment select sell seminar senior
+  sense sentence series service session settle setup seven shadow shaft shallow share shed shell
+  sheriff shield shift shine ship shiver shock shoe shoot shop short shoulder shove shrimp shrug
+  shuffle shy sibling sick side siege sight sign silent silk silly silver similar simple since
+  sing siren sister situate six size skate sketch ski skill skin skirt skull slab slam sleep
+  slender slice slide slight slim slogan slot slow slush small smart smile smoke smooth snack
+  snake snap sniff snow soap soccer social sock soda soft solar soldier solid solution solve
+  someone song soon sorry sort soul sound soup source south space spare spatial spawn speak
+  special speed spell spend sphere spice spider spike spin spirit split spoil sponsor spoon sport
+  spot spray spread spring spy square squeeze squirrel stable stadium staff stage stairs stamp
+  stand start state stay steak steel stem step stereo stick still sting stock stomach stone stool
+  story stove strategy street strike strong struggle student stuff stumble style subject submit
+  subway success such sudden suffer sugar suggest suit summer sun sunny sunset super supply
+  supreme sure surface surge surprise surround survey suspect sustain swallow swamp swap swarm
+  swear sweet swift swim swing switch sword symbol symptom syrup system table tackle tag tail
+  talent talk tank tape target task taste tattoo taxi teach team tell ten tenant tennis tent term
+  test text thank that theme then theory there they thing this thought three thrive throw thumb
+  thunder ticket tide tiger tilt timber time tiny tip tired tissue title toast tobacco today
+  toddler toe together toilet token tomato tomorrow tone tongue tonight tool tooth top topic
+  topple torch tornado tortoise toss total tourist toward tower town toy track trade traffic
+  tragic train transfer trap trash travel tray treat tree trend trial tribe trick trigger trim
+  trip trophy trouble truck true truly trumpet trust truth try tube tuition tumble tuna tunnel
+  turkey turn turtle twelve twenty twice twin twist two type typical ugly umbrella unable unaware
+  uncle uncover under undo unfair unfold unhappy uniform unique unit universe unknown unlock until
+  unusual unveil update upgrade uphold upon upper upset urban urge usage use used useful useless
+  usual utility vacant vacuum vague valid valley valve van vanish vapor various vast vault vehicle
+  velvet vendor venture venue verb verify version very vessel veteran viable vibrant vicious
+  victory video view village vintage violin virtual virus visa visit visual vital vivid vocal
+  voice void volcano volume vote voyage wage wagon wait walk wall walnut want warfare warm warrior
+  wash wasp waste water wave way wealth weapon wear weasel weather web wedding weekend weird
+  welcome west wet whale what wheat wheel when where whip whisper wide width wife wild will win
+  window wine wing wink winner winter wire wisdom wise wish witness wolf woman wonder wood wool
+  word work world worry worth wrap wreck wrestle wrist write wrong yard year yellow you young
+  youth zebra zero zone zoo
+`.trim().split(/\s+/);
+
+// EFF large wordlist for Diceware passphrases (7776 words in dice order,
+// SHA-256 of eff_large_wordlist.txt:
+// addd35536511597a02fa0a9ff1e5284677b8883b83e986e43f15a3db996b903e)
+const EFF_LARGE_WORDLIST = `
+  abacus abdomen abdominal abide abiding ability ablaze able abnormal abrasion abrasive abreast
+  abridge abroad abruptly absence absentee absently absinthe absolute absolve abstain abstract
+  absurd accent acclaim acclimate accompany account accuracy accurate accustom acetone achiness
+  aching acid acorn acquaint acquire acre acrobat acronym acting action activate activator active
+  activism activist activity actress acts acutely acuteness aeration aerobics aerosol aerospace
+  afar affair affected affecting affection affidavit affiliate affirm affix afflicted affluent
+  afford affront aflame afloat aflutter afoot afraid afterglow afterlife aftermath aftermost
+  afternoon aged ageless agency agenda agent aggregate aghast agile agility aging agnostic agonize
+  agonizing agony agreeable agreeably agreed agreeing agreement aground ahead ahoy aide aids aim
+  ajar alabaster alarm albatross album alfalfa algebra algorithm alias alibi alienable alienate
+  aliens alike alive alkaline alkalize almanac almighty almost aloe aloft aloha alone alongside
+  aloof alphabet alright although altitude alto aluminum alumni always amaretto amaze amazingly
+  amber ambiance ambiguity ambiguous ambition ambitious ambulance ambush amendable amendment
+  amends amenity amiable amicably amid amigo amino amiss ammonia ammonium amnesty amniotic among
+  amount amperage ample amplifier amplify amply amuck amulet amusable amused amusement amuser
+  amusing anaconda anaerobic anagram anatomist anatomy anchor anchovy ancient android anemia
+  anemic aneurism anew angelfish angelic anger angled angler angles angling angrily angriness
+  anguished angular animal animate animating animation animator anime animosity ankle annex
+  annotate announcer annoying annually annuity anointer another answering antacid antarctic
+  anteater antelope antennae anthem anthill anthology antibody antics antidote antihero antiquely
+  antiques antiquity antirust antitoxic antitrust antiviral antivirus antler antonym antsy anvil
+  anybody anyhow anymore anyone anyplace anything anytime anyway anywhere aorta apache apostle
+  appealing appear appease appeasing appendage appendix appetite appetizer applaud applause apple
+  appliance applicant applied apply appointee appraisal appraiser apprehend approach approval
+  approve apricot april apron aptitude aptly aqua aqueduct arbitrary arbitrate ardently area arena
+  arguable arguably argue arise armadillo armband armchair armed armful armhole arming armless
+  armoire armored armory armrest army aroma arose around arousal arrange array arrest arrival
+  arrive arrogance arrogant arson art ascend ascension ascent ascertain ashamed ashen ashes ashy
+  aside askew asleep asparagus aspect aspirate aspire aspirin astonish astound astride astrology
+  astronaut astronomy astute atlantic atlas atom atonable atop atrium atrocious atrophy attach
+  attain attempt attendant attendee attention attentive attest attic attire attitude attractor
+  attribute atypical auction audacious audacity audible audibly audience audio audition augmented
+  august authentic author autism autistic autograph automaker automated automatic autopilot
+  available avalanche avatar avenge avenging avenue average aversion avert aviation aviator avid
+  avoid await awaken award aware awhile awkward awning awoke awry axis babble babbling babied
+  baboon backache backboard backboned backdrop backed backer backfield backfire backhand backing
+  backlands backlash backless backlight backlit backlog backpack backpedal backrest backroom
+  backshift backside backslid backspace backspin backstab backstage backtalk backtrack backup
+  backward backwash backwater backyard bacon bacteria bacterium badass badge badland badly badness
+  baffle baffling bagel bagful baggage bagged baggie bagginess bagging baggy bagpipe baguette
+  baked bakery bakeshop baking balance balancing balcony balmy balsamic bamboo banana banish
+  banister banjo bankable bankbook banked banker banking banknote bankroll banner bannister
+  banshee banter barbecue barbed barbell barber barcode barge bargraph barista baritone barley
+  barmaid barman barn barometer barrack barracuda barrel barrette barricade barrier barstool
+  bartender barterer bash basically basics basil basin basis basket batboy batch bath baton bats
+  battalion battered battering battery batting battle bauble bazooka blabber bladder blade blah
+  blame blaming blanching blandness blank blaspheme blasphemy blast blatancy blatantly blazer
+  blazing bleach bleak bleep blemish blend bless blighted blimp bling blinked blinker blinking
+  blinks blip blissful blitz blizzard bloated bloating blob blog bloomers blooming blooper blot
+  blouse blubber bluff bluish blunderer blunt blurb blurred blurry blurt blush blustery boaster
+  boastful boasting boat bobbed bobbing bobble bobcat bobsled bobtail bodacious body bogged boggle
+  bogus boil bok bolster bolt bonanza bonded bonding bondless boned bonehead boneless bonelike
+  boney bonfire bonnet bonsai bonus bony boogeyman boogieman book boondocks booted booth bootie
+  booting bootlace bootleg boots boozy borax boring borough borrower borrowing boss botanical
+  botanist botany botch both bottle bottling bottom bounce bouncing bouncy bounding boundless
+  bountiful bovine boxcar boxer boxing boxlike boxy breach breath breeches breeching breeder
+  breeding breeze breezy brethren brewery brewing briar bribe brick bride bridged brigade bright
+  brilliant brim bring brink brisket briskly briskness bristle brittle broadband broadcast broaden
+  broadly broadness broadside broadways broiler broiling broken broker bronchial bronco bronze
+  bronzing brook broom brought browbeat brownnose browse browsing bruising brunch brunette brunt
+  brush brussels brute brutishly bubble bubbling bubbly buccaneer bucked bucket buckle buckshot
+  buckskin bucktooth buckwheat buddhism buddhist budding buddy budget buffalo buffed buffer
+  buffing buffoon buggy bulb bulge bulginess bulgur bulk bulldog bulldozer bullfight bullfrog
+  bullhorn bullion bullish bullpen bullring bullseye bullwhip bully bunch bundle bungee bunion
+  bunkbed bunkhouse bunkmate bunny bunt busboy bush busily busload bust busybody buzz cabana
+  cabbage cabbie cabdriver cable caboose cache cackle cacti cactus caddie caddy cadet cadillac
+  cadmium cage cahoots cake calamari calamity calcium calculate calculus caliber calibrate calm
+  caloric calorie calzone camcorder cameo camera camisole camper campfire camping campsite campus
+  canal canary cancel candied candle candy cane canine canister cannabis canned canning cannon
+  cannot canola canon canopener canopy canteen canyon capable capably capacity cape capillary
+  capital capitol capped capricorn capsize capsule caption captivate captive captivity capture
+  caramel carat caravan carbon cardboard carded cardiac cardigan cardinal cardstock carefully
+  caregiver careless caress caretaker cargo caring carless carload carmaker carnage carnation
+  carnival carnivore carol carpenter carpentry carpool carport carried carrot carrousel carry
+  cartel cartload carton cartoon cartridge cartwheel carve carving carwash cascade case cash
+  casing casino casket cassette casually casualty catacomb catalog catalyst catalyze catapult
+  cataract catatonic catcall catchable catcher catching catchy caterer catering catfight catfish
+  cathedral cathouse catlike catnap catnip catsup cattail cattishly cattle catty catwalk caucasian
+  caucus causal causation cause causing cauterize caution cautious cavalier cavalry caviar cavity
+  cedar celery celestial celibacy celibate celtic cement census ceramics ceremony certainly
+  certainty certified certify cesarean cesspool chafe chaffing chain chair chalice challenge
+  chamber chamomile champion chance change channel chant chaos chaperone chaplain chapped chaps
+  chapter character charbroil charcoal charger charging chariot charity charm charred charter
+  charting chase chasing chaste chastise chastity chatroom chatter chatting chatty cheating
+  cheddar cheek cheer cheese cheesy chef chemicals chemist chemo cherisher cherub chess chest
+  chevron chevy chewable chewer chewing chewy chief chihuahua childcare childhood childish
+  childless childlike chili chill chimp chip chirping chirpy chitchat chivalry chive chloride
+  chlorine choice chokehold choking chomp chooser choosing choosy chop chosen chowder chowtime
+  chrome chubby chuck chug chummy chump chunk churn chute cider cilantro cinch cinema cinnamon
+  circle circling circular circulate circus citable citadel citation citizen citric citrus city
+  civic civil clad claim clambake clammy clamor clamp clamshell clang clanking clapped clapper
+  clapping clarify clarinet clarity clash clasp class clatter clause clavicle claw clay clean
+  clear cleat cleaver cleft clench clergyman clerical clerk clever clicker client climate climatic
+  cling clinic clinking clip clique cloak clobber clock clone cloning closable closure clothes
+  clothing cloud clover clubbed clubbing clubhouse clump clumsily clumsy clunky clustered clutch
+  clutter coach coagulant coastal coaster coasting coastland coastline coat coauthor cobalt
+  cobbler cobweb cocoa coconut cod coeditor coerce coexist coffee cofounder cognition cognitive
+  cogwheel coherence coherent cohesive coil coke cola cold coleslaw coliseum collage collapse
+  collar collected collector collide collie collision colonial colonist colonize colony colossal
+  colt coma come comfort comfy comic coming comma commence commend comment commerce commode
+  commodity commodore common commotion commute commuting compacted compacter compactly compactor
+  companion company compare compel compile comply component composed composer composite compost
+  composure compound compress comprised computer computing comrade concave conceal conceded
+  concept concerned concert conch concierge concise conclude concrete concur condense condiment
+  condition condone conducive conductor conduit cone confess confetti confidant confident confider
+  confiding configure confined confining confirm conflict conform confound confront confused
+  confusing confusion congenial congested congrats congress conical conjoined conjure conjuror
+  connected connector consensus consent console consoling consonant constable constant constrain
+  constrict construct consult consumer consuming contact container contempt contend contented
+  contently contents contest context contort contour contrite control contusion convene convent
+  copartner cope copied copier copilot coping copious copper copy coral cork cornball cornbread
+  corncob cornea corned corner cornfield cornflake cornhusk cornmeal cornstalk corny coronary
+  coroner corporal corporate corral correct corridor corrode corroding corrosive corsage corset
+  cortex cosigner cosmetics cosmic cosmos cosponsor cost cottage cotton couch cough could
+  countable countdown counting countless country county courier covenant cover coveted coveting
+  coyness cozily coziness cozy crabbing crabgrass crablike crabmeat cradle cradling crafter
+  craftily craftsman craftwork crafty cramp cranberry crane cranial cranium crank crate crave
+  craving crawfish crawlers crawling crayfish crayon crazed crazily craziness crazy creamed
+  creamer creamlike crease creasing creatable create creation creative creature credible credibly
+  credit creed creme creole crepe crept crescent crested cresting crestless crevice crewless
+  crewman crewmate crib cricket cried crier crimp crimson cringe cringing crinkle crinkly crisped
+  crisping crisply crispness crispy criteria critter croak crock crook croon crop cross crouch
+  crouton crowbar crowd crown crucial crudely crudeness cruelly cruelness cruelty crumb crummiest
+  crummy crumpet crumpled cruncher crunching crunchy crusader crushable crushed crusher crushing
+  crust crux crying cryptic crystal cubbyhole cube cubical cubicle cucumber cuddle cuddly cufflink
+  culinary culminate culpable culprit cultivate cultural culture cupbearer cupcake cupid cupped
+  cupping curable curator curdle cure curfew curing curled curler curliness curling curly curry
+  curse cursive cursor curtain curtly curtsy curvature curve curvy cushy cusp cussed custard
+  custodian custody customary customer customize customs cut cycle cyclic cycling cyclist cylinder
+  cymbal cytoplasm cytoplast dab dad daffodil dagger daily daintily dainty dairy daisy dallying
+  dance dancing dandelion dander dandruff dandy danger dangle dangling daredevil dares daringly
+  darkened darkening darkish darkness darkroom darling darn dart darwinism dash dastardly data
+  datebook dating daughter daunting dawdler dawn daybed daybreak daycare daydream daylight daylong
+  dayroom daytime dazzler dazzling deacon deafening deafness dealer dealing dealmaker dealt dean
+  debatable debate debating debit debrief debtless debtor debug debunk decade decaf decal
+  decathlon decay deceased deceit deceiver deceiving december decency decent deception deceptive
+  decibel decidable decimal decimeter decipher deck declared decline decode decompose decorated
+  decorator decoy decrease decree dedicate dedicator deduce deduct deed deem deepen deeply
+  deepness deface defacing defame default defeat defection defective defendant defender defense
+  defensive deferral deferred defiance defiant defile defiling define definite deflate deflation
+  deflator deflected deflector defog deforest defraud defrost deftly defuse defy degraded
+  degrading degrease degree dehydrate deity dejected delay delegate delegator delete deletion
+  delicacy delicate delicious delighted delirious delirium deliverer delivery delouse delta deluge
+  delusion deluxe demanding demeaning demeanor demise democracy democrat demote demotion demystify
+  denatured deniable denial denim denote dense density dental dentist denture deny deodorant
+  deodorize departed departure depict deplete depletion deplored deploy deport depose depraved
+  depravity deprecate depress deprive depth deputize deputy derail deranged derby derived
+  desecrate deserve deserving designate designed designer designing deskbound desktop deskwork
+  desolate despair despise despite destiny destitute destruct detached detail detection detective
+  detector detention detergent detest detonate detonator detoxify detract deuce devalue deviancy
+  deviant deviate deviation deviator device devious devotedly devotee devotion devourer devouring
+  devoutly dexterity dexterous diabetes diabetic diabolic diagnoses diagnosis diagram dial
+  diameter diaper diaphragm diary dice dicing dictate dictation dictator difficult diffused
+  diffuser diffusion diffusive dig dilation diligence diligent dill dilute dime diminish dimly
+  dimmed dimmer dimness dimple diner dingbat dinghy dinginess dingo dingy dining dinner diocese
+  dioxide diploma dipped dipper dipping directed direction directive directly directory direness
+  dirtiness disabled disagree disallow disarm disarray disaster disband disbelief disburse discard
+  discern discharge disclose discolor discount discourse discover discuss disdain disengage
+  disfigure disgrace dish disinfect disjoin disk dislike disliking dislocate dislodge disloyal
+  dismantle dismay dismiss dismount disobey disorder disown disparate disparity dispatch dispense
+  dispersal dispersed disperser displace display displease disposal dispose disprove dispute
+  disregard disrupt dissuade distance distant distaste distill distinct distort distract distress
+  district distrust ditch ditto ditzy dividable divided dividend dividers dividing divinely diving
+  divinity divisible divisibly division divisive divorcee dizziness dizzy doable docile dock
+  doctrine document dodge dodgy doily doing dole dollar dollhouse dollop dolly dolphin domain
+  domelike domestic dominion dominoes donated donation donator donor donut doodle doorbell
+  doorframe doorknob doorman doormat doornail doorpost doorstep doorstop doorway doozy dork
+  dormitory dorsal dosage dose dotted doubling douche dove down dowry doze drab dragging dragonfly
+  dragonish dragster drainable drainage drained drainer drainpipe dramatic dramatize drank drapery
+  drastic draw dreaded dreadful dreadlock dreamboat dreamily dreamland dreamless dreamlike dreamt
+  dreamy drearily dreary drench dress drew dribble dried drier drift driller drilling drinkable
+  drinking dripping drippy drivable driven driver driveway driving drizzle drizzly drone drool
+  droop drop-down dropbox dropkick droplet dropout dropper drove drown drowsily drudge drum dry
+  dubbed dubiously duchess duckbill ducking duckling ducktail ducky duct dude duffel dugout duh
+  duke duller dullness duly dumping dumpling dumpster duo dupe duplex duplicate duplicity durable
+  durably duration duress during dusk dust dutiful duty duvet dwarf dweeb dwelled dweller dwelling
+  dwindle dwindling dynamic dynamite dynasty dyslexia dyslexic each eagle earache eardrum earflap
+  earful earlobe early earmark earmuff earphone earpiece earplugs earring earshot earthen
+  earthlike earthling earthly earthworm earthy earwig easeful easel easiest easily easiness easing
+  eastbound eastcoast easter eastward eatable eaten eatery eating eats ebay ebony ebook ecard
+  eccentric echo eclair eclipse ecologist ecology economic economist economy ecosphere ecosystem
+  edge edginess edging edgy edition editor educated education educator eel effective effects
+  efficient effort eggbeater egging eggnog eggplant eggshell egomaniac egotism egotistic either
+  eject elaborate elastic elated elbow eldercare elderly eldest electable election elective
+  elephant elevate elevating elevation elevator eleven elf eligible eligibly eliminate elite
+  elitism elixir elk ellipse elliptic elm elongated elope eloquence eloquent elsewhere elude
+  elusive elves email embargo embark embassy embattled embellish ember embezzle emblaze emblem
+  embody embolism emboss embroider emcee emerald emergency emission emit emote emoticon emotion
+  empathic empathy emperor emphases emphasis emphasize emphatic empirical employed employee
+  employer emporium empower emptier emptiness empty emu enable enactment enamel enchanted
+  enchilada encircle enclose enclosure encode encore encounter encourage encroach encrust encrypt
+  endanger endeared endearing ended ending endless endnote endocrine endorphin endorse endowment
+  endpoint endurable endurance enduring energetic energize energy enforced enforcer engaged
+  engaging engine engorge engraved engraver engraving engross engulf enhance enigmatic enjoyable
+  enjoyably enjoyer enjoying enjoyment enlarged enlarging enlighten enlisted enquirer enrage
+  enrich enroll enslave ensnare ensure entail entangled entering entertain enticing entire entitle
+  entity entomb entourage entrap entree entrench entrust entryway entwine enunciate envelope
+  enviable enviably envious envision envoy envy enzyme epic epidemic epidermal epidermis epidural
+  epilepsy epileptic epilogue epiphany episode equal equate equation equator equinox equipment
+  equity equivocal eradicate erasable erased eraser erasure ergonomic errand errant erratic error
+  erupt escalate escalator escapable escapade escapist escargot eskimo esophagus espionage
+  espresso esquire essay essence essential establish estate esteemed estimate estimator estranged
+  estrogen etching eternal eternity ethanol ether ethically ethics euphemism evacuate evacuee
+  evade evaluate evaluator evaporate evasion evasive even everglade evergreen everybody everyday
+  everyone evict evidence evident evil evoke evolution evolve exact exalted example excavate
+  excavator exceeding exception excess exchange excitable exciting exclaim exclude excluding
+  exclusion exclusive excretion excretory excursion excusable excusably excuse exemplary exemplify
+  exemption exerciser exert exes exfoliate exhale exhaust exhume exile existing exit exodus
+  exonerate exorcism exorcist expand expanse expansion expansive expectant expedited expediter
+  expel expend expenses expensive expert expire expiring explain expletive explicit explode
+  exploit explore exploring exponent exporter exposable expose exposure express expulsion
+  exquisite extended extending extent extenuate exterior external extinct extortion extradite
+  extras extrovert extrude extruding exuberant fable fabric fabulous facebook facecloth facedown
+  faceless facelift faceplate faceted facial facility facing facsimile faction factoid factor
+  factsheet factual faculty fade fading failing falcon fall false falsify fame familiar family
+  famine famished fanatic fancied fanciness fancy fanfare fang fanning fantasize fantastic fantasy
+  fascism fastball faster fasting fastness faucet favorable favorably favored favoring favorite
+  fax feast federal fedora feeble feed feel feisty feline felt-tip feminine feminism feminist
+  feminize femur fence fencing fender ferment fernlike ferocious ferocity ferret ferris ferry
+  fervor fester festival festive festivity fetal fetch fever fiber fiction fiddle fiddling
+  fidelity fidgeting fidgety fifteen fifth fiftieth fifty figment figure figurine filing filled
+  filler filling film filter filth filtrate finale finalist finalize finally finance financial
+  finch fineness finer finicky finished finisher finishing finite finless finlike fiscally fit
+  five flaccid flagman flagpole flagship flagstick flagstone flail flakily flaky flame flammable
+  flanked flanking flannels flap flaring flashback flashbulb flashcard flashily flashing flashy
+  flask flatbed flatfoot flatly flatness flatten flattered flatterer flattery flattop flatware
+  flatworm flavored flavorful flavoring flaxseed fled fleshed fleshy flick flier flight flinch
+  fling flint flip flirt float flock flogging flop floral florist floss flounder flyable flyaway
+  flyer flying flyover flypaper foam foe fog foil folic folk follicle follow fondling fondly
+  fondness fondue font food fool footage football footbath footboard footer footgear foothill
+  foothold footing footless footman footnote footpad footpath footprint footrest footsie footsore
+  footwear footwork fossil foster founder founding fountain fox foyer fraction fracture fragile
+  fragility fragment fragrance fragrant frail frame framing frantic fraternal frayed fraying frays
+  freckled freckles freebase freebee freebie freedom freefall freehand freeing freeload freely
+  freemason freeness freestyle freeware freeway freewill freezable freezing freight french
+  frenzied frenzy frequency frequent fresh fretful fretted friction friday fridge fried friend
+  frighten frightful frigidity frigidly frill fringe frisbee frisk fritter frivolous frolic from
+  front frostbite frosted frostily frosting frostlike frosty froth frown frozen fructose frugality
+  frugally fruit frustrate frying gab gaffe gag gainfully gaining gains gala gallantly galleria
+  gallery galley gallon gallows gallstone galore galvanize gambling game gaming gamma gander
+  gangly gangrene gangway gap garage garbage garden gargle garland garlic garment garnet garnish
+  garter gas gatherer gathering gating gauging gauntlet gauze gave gawk gazing gear gecko geek
+  geiger gem gender generic generous genetics genre gentile gentleman gently gents geography
+  geologic geologist geology geometric geometry geranium gerbil geriatric germicide germinate
+  germless germproof gestate gestation gesture getaway getting getup giant gibberish giblet
+  giddily giddiness giddy gift gigabyte gigahertz gigantic giggle giggling giggly gigolo gilled
+  gills gimmick girdle giveaway given giver giving gizmo gizzard glacial glacier glade gladiator
+  gladly glamorous glamour glance glancing glandular glare glaring glass glaucoma glazing gleaming
+  gleeful glider gliding glimmer glimpse glisten glitch glitter glitzy gloater gloating gloomily
+  gloomy glorified glorifier glorify glorious glory gloss glove glowing glowworm glucose glue
+  gluten glutinous glutton gnarly gnat goal goatskin goes goggles going goldfish goldmine
+  goldsmith golf goliath gonad gondola gone gong good gooey goofball goofiness goofy google goon
+  gopher gore gorged gorgeous gory gosling gossip gothic gotten gout gown grab graceful graceless
+  gracious gradation graded grader gradient grading gradually graduate graffiti grafted grafting
+  grain granddad grandkid grandly grandma grandpa grandson granite granny granola grant granular
+  grape graph grapple grappling grasp grass gratified gratify grating gratitude gratuity gravel
+  graveness graves graveyard gravitate gravity gravy gray grazing greasily greedily greedless
+  greedy green greeter greeting grew greyhound grid grief grievance grieving grievous grill
+  grimace grimacing grime griminess grimy grinch grinning grip gristle grit groggily groggy groin
+  groom groove grooving groovy grope ground grouped grout grove grower growing growl grub grudge
+  grudging grueling gruffly grumble grumbling grumbly grumpily grunge grunt guacamole guidable
+  guidance guide guiding guileless guise gulf gullible gully gulp gumball gumdrop gumminess
+  gumming gummy gurgle gurgling guru gush gusto gusty gutless guts gutter guy guzzler gyration
+  habitable habitant habitat habitual hacked hacker hacking hacksaw had haggler haiku half halogen
+  halt halved halves hamburger hamlet hammock hamper hamster hamstring handbag handball handbook
+  handbrake handcart handclap handclasp handcraft handcuff handed handful handgrip handgun
+  handheld handiness handiwork handlebar handled handler handling handmade handoff handpick
+  handprint handrail handsaw handset handsfree handshake handstand handwash handwork handwoven
+  handwrite handyman hangnail hangout hangover hangup hankering hankie hanky haphazard happening
+  happier happiest happily happiness happy harbor hardcopy hardcore hardcover harddisk hardened
+  hardener hardening hardhat hardhead hardiness hardly hardness hardship hardware hardwired
+  hardwood hardy harmful harmless harmonica harmonics harmonize harmony harness harpist harsh
+  harvest hash hassle haste hastily hastiness hasty hatbox hatchback hatchery hatchet hatching
+  hatchling hate hatless hatred haunt haven hazard hazelnut hazily haziness hazing hazy headache
+  headband headboard headcount headdress headed header headfirst headgear heading headlamp
+  headless headlock headphone headpiece headrest headroom headscarf headset headsman headstand
+  headstone headway headwear heap heat heave heavily heaviness heaving hedge hedging heftiness
+  hefty helium helmet helper helpful helping helpless helpline hemlock hemstitch hence henchman
+  henna herald herbal herbicide herbs heritage hermit heroics heroism herring herself hertz
+  hesitancy hesitant hesitate hexagon hexagram hubcap huddle huddling huff hug hula hulk hull
+  human humble humbling humbly humid humiliate humility humming hummus humongous humorist
+  humorless humorous humpback humped humvee hunchback hundredth hunger hungrily hungry hunk hunter
+  hunting huntress huntsman hurdle hurled hurler hurling hurray hurricane hurried hurry hurt
+  husband hush husked huskiness hut hybrid hydrant hydrated hydration hydrogen hydroxide hyperlink
+  hypertext hyphen hypnoses hypnosis hypnotic hypnotism hypnotist hypnotize hypocrisy hypocrite
+  ibuprofen ice iciness icing icky icon icy idealism idealist idealize ideally idealness identical
+  identify identity ideology idiocy idiom idly igloo ignition ignore iguana illicitly illusion
+  illusive image imaginary imagines imaging imbecile imitate imitation immature immerse immersion
+  imminent immobile immodest immorally immortal immovable immovably immunity immunize impaired
+  impale impart impatient impeach impeding impending imperfect imperial impish implant implement
+  implicate implicit implode implosion implosive imply impolite important importer impose imposing
+  impotence impotency impotent impound imprecise imprint imprison impromptu improper improve
+  improving improvise imprudent impulse impulsive impure impurity iodine iodize ion ipad iphone
+  ipod irate irk iron irregular irrigate irritable irritably irritant irritate islamic islamist
+  isolated isolating isolation isotope issue issuing italicize italics item itinerary itunes ivory
+  ivy jab jackal jacket jackknife jackpot jailbird jailbreak jailer jailhouse jalapeno jam janitor
+  january jargon jarring jasmine jaundice jaunt java jawed jawless jawline jaws jaybird jaywalker
+  jazz jeep jeeringly jellied jelly jersey jester jet jiffy jigsaw jimmy jingle jingling jinx
+  jitters jittery job jockey jockstrap jogger jogging john joining jokester jokingly jolliness
+  jolly jolt jot jovial joyfully joylessly joyous joyride joystick jubilance jubilant judge
+  judgingly judicial judiciary judo juggle juggling jugular juice juiciness juicy jujitsu jukebox
+  july jumble jumbo jump junction juncture june junior juniper junkie junkman junkyard jurist
+  juror jury justice justifier justify justly justness juvenile kabob kangaroo karaoke karate
+  karma kebab keenly keenness keep keg kelp kennel kept kerchief kerosene kettle kick kiln
+  kilobyte kilogram kilometer kilowatt kilt kimono kindle kindling kindly kindness kindred kinetic
+  kinfolk king kinship kinsman kinswoman kissable kisser kissing kitchen kite kitten kitty kiwi
+  kleenex knapsack knee knelt knickers knoll koala kooky kosher krypton kudos kung labored laborer
+  laboring laborious labrador ladder ladies ladle ladybug ladylike lagged lagging lagoon lair lake
+  lance landed landfall landfill landing landlady landless landline landlord landmark landmass
+  landmine landowner landscape landside landslide language lankiness lanky lantern lapdog lapel
+  lapped lapping laptop lard large lark lash lasso last latch late lather latitude latrine latter
+  latticed launch launder laundry laurel lavender lavish laxative lazily laziness lazy lecturer
+  left legacy legal legend legged leggings legible legibly legislate lego legroom legume legwarmer
+  legwork lemon lend length lens lent leotard lesser letdown lethargic lethargy letter lettuce
+  level leverage levers levitate levitator liability liable liberty librarian library licking
+  licorice lid life lifter lifting liftoff ligament likely likeness likewise liking lilac lilly
+  lily limb limeade limelight limes limit limping limpness line lingo linguini linguist lining
+  linked linoleum linseed lint lion lip liquefy liqueur liquid lisp list litigate litigator litmus
+  litter little livable lived lively liver livestock lividly living lizard lubricant lubricate
+  lucid luckily luckiness luckless lucrative ludicrous lugged lukewarm lullaby lumber luminance
+  luminous lumpiness lumping lumpish lunacy lunar lunchbox luncheon lunchroom lunchtime lung lurch
+  lure luridness lurk lushly lushness luster lustfully lustily lustiness lustrous lusty luxurious
+  luxury lying lyrically lyricism lyricist lyrics macarena macaroni macaw mace machine machinist
+  magazine magenta maggot magical magician magma magnesium magnetic magnetism magnetize magnifier
+  magnify magnitude magnolia mahogany maimed majestic majesty majorette majority makeover maker
+  makeshift making malformed malt mama mammal mammary mammogram manager managing manatee mandarin
+  mandate mandatory mandolin manger mangle mango mangy manhandle manhole manhood manhunt manicotti
+  manicure manifesto manila mankind manlike manliness manly manmade manned mannish manor manpower
+  mantis mantra manual many map marathon marauding marbled marbles marbling march mardi margarine
+  margarita margin marigold marina marine marital maritime marlin marmalade maroon married marrow
+  marry marshland marshy marsupial marvelous marxism mascot masculine mashed mashing massager
+  masses massive mastiff matador matchbook matchbox matcher matching matchless material maternal
+  maternity math mating matriarch matrimony matrix matron matted matter maturely maturing maturity
+  mauve maverick maximize maximum maybe mayday mayflower moaner moaning mobile mobility mobilize
+  mobster mocha mocker mockup modified modify modular modulator module moisten moistness moisture
+  molar molasses mold molecular molecule molehill mollusk mom monastery monday monetary monetize
+  moneybags moneyless moneywise mongoose mongrel monitor monkhood monogamy monogram monologue
+  monopoly monorail monotone monotype monoxide monsieur monsoon monstrous monthly monument moocher
+  moodiness moody mooing moonbeam mooned moonlight moonlike moonlit moonrise moonscape moonshine
+  moonstone moonwalk mop morale morality morally morbidity morbidly morphine morphing morse
+  mortality mortally mortician mortified mortify mortuary mosaic mossy most mothball mothproof
+  motion motivate motivator motive motocross motor motto mountable mountain mounted mounting
+  mourner mournful mouse mousiness moustache mousy mouth movable move movie moving mower mowing
+  much muck mud mug mulberry mulch mule mulled mullets multiple multiply multitask multitude
+  mumble mumbling mumbo mummified mummify mummy mumps munchkin mundane municipal muppet mural
+  murkiness murky murmuring muscular museum mushily mushiness mushroom mushy music musket
+  muskiness musky mustang mustard muster mustiness musty mutable mutate mutation mute mutilated
+  mutilator mutiny mutt mutual muzzle myself myspace mystified mystify myth nacho nag nail name
+  naming nanny nanometer nape napkin napped napping nappy narrow nastily nastiness national native
+  nativity natural nature naturist nautical navigate navigator navy nearby nearest nearly nearness
+  neatly neatness nebula nebulizer nectar negate negation negative neglector negligee negligent
+  negotiate nemeses nemesis neon nephew nerd nervous nervy nest net neurology neuron neurosis
+  neurotic neuter neutron never next nibble nickname nicotine niece nifty nimble nimbly nineteen
+  ninetieth ninja nintendo ninth nuclear nuclei nucleus nugget nullify number numbing numbly
+  numbness numeral numerate numerator numeric numerous nuptials nursery nursing nurture nutcase
+  nutlike nutmeg nutrient nutshell nuttiness nutty nuzzle nylon oaf oak oasis oat obedience
+  obedient obituary object obligate obliged oblivion oblivious oblong obnoxious oboe obscure
+  obscurity observant observer observing obsessed obsession obsessive obsolete obstacle obstinate
+  obstruct obtain obtrusive obtuse obvious occultist occupancy occupant occupier occupy ocean
+  ocelot octagon octane october octopus ogle oil oink ointment okay old olive olympics omega omen
+  ominous omission omit omnivore onboard oncoming ongoing onion online onlooker only onscreen
+  onset onshore onslaught onstage onto onward onyx oops ooze oozy opacity opal open operable
+  operate operating operation operative operator opium opossum opponent oppose opposing opposite
+  oppressed oppressor opt opulently osmosis other otter ouch ought ounce outage outback outbid
+  outboard outbound outbreak outburst outcast outclass outcome outdated outdoors outer outfield
+  outfit outflank outgoing outgrow outhouse outing outlast outlet outline outlook outlying
+  outmatch outmost outnumber outplayed outpost outpour output outrage outrank outreach outright
+  outscore outsell outshine outshoot outsider outskirts outsmart outsource outspoken outtakes
+  outthink outward outweigh outwit oval ovary oven overact overall overarch overbid overbill
+  overbite overblown overboard overbook overbuilt overcast overcoat overcome overcook overcrowd
+  overdraft overdrawn overdress overdrive overdue overeager overeater overexert overfed overfeed
+  overfill overflow overfull overgrown overhand overhang overhaul overhead overhear overheat
+  overhung overjoyed overkill overlabor overlaid overlap overlay overload overlook overlord
+  overlying overnight overpass overpay overplant overplay overpower overprice overrate overreach
+  overreact override overripe overrule overrun overshoot overshot oversight oversized oversleep
+  oversold overspend overstate overstay overstep overstock overstuff oversweet overtake overthrow
+  overtime overtly overtone overture overturn overuse overvalue overview overwrite owl oxford
+  oxidant oxidation oxidize oxidizing oxygen oxymoron oyster ozone paced pacemaker pacific
+  pacifier pacifism pacifist pacify padded padding paddle paddling padlock pagan pager paging
+  pajamas palace palatable palm palpable palpitate paltry pampered pamperer pampers pamphlet
+  panama pancake pancreas panda pandemic pang panhandle panic panning panorama panoramic panther
+  pantomime pantry pants pantyhose paparazzi papaya paper paprika papyrus parabola parachute
+  parade paradox paragraph parakeet paralegal paralyses paralysis paralyze paramedic parameter
+  paramount parasail parasite parasitic parcel parched parchment pardon parish parka parking
+  parkway parlor parmesan parole parrot parsley parsnip partake parted parting partition partly
+  partner partridge party passable passably passage passcode passenger passerby passing passion
+  passive passivism passover passport password pasta pasted pastel pastime pastor pastrami pasture
+  pasty patchwork patchy paternal paternity path patience patient patio patriarch patriot patrol
+  patronage patronize pauper pavement paver pavestone pavilion paving pawing payable payback
+  paycheck payday payee payer paying payment payphone payroll pebble pebbly pecan pectin peculiar
+  peddling pediatric pedicure pedigree pedometer pegboard pelican pellet pelt pelvis penalize
+  penalty pencil pendant pending penholder penknife pennant penniless penny penpal pension
+  pentagon pentagram pep perceive percent perch percolate perennial perfected perfectly perfume
+  periscope perish perjurer perjury perkiness perky perm peroxide perpetual perplexed persecute
+  persevere persuaded persuader pesky peso pessimism pessimist pester pesticide petal petite
+  petition petri petroleum petted petticoat pettiness petty petunia phantom phobia phoenix
+  phonebook phoney phonics phoniness phony phosphate photo phrase phrasing placard placate
+  placidly plank planner plant plasma plaster plastic plated platform plating platinum platonic
+  platter platypus plausible plausibly playable playback player playful playgroup playhouse
+  playing playlist playmaker playmate playoff playpen playroom playset plaything playtime plaza
+  pleading pleat pledge plentiful plenty plethora plexiglas pliable plod plop plot plow ploy pluck
+  plug plunder plunging plural plus plutonium plywood poach pod poem poet pogo pointed pointer
+  pointing pointless pointy poise poison poker poking polar police policy polio polish politely
+  polka polo polyester polygon polygraph polymer poncho pond pony popcorn pope poplar popper poppy
+  popsicle populace popular populate porcupine pork porous porridge portable portal portfolio
+  porthole portion portly portside poser posh posing possible possibly possum postage postal
+  postbox postcard posted poster posting postnasal posture postwar pouch pounce pouncing pound
+  pouring pout powdered powdering powdery power powwow pox praising prance prancing pranker
+  prankish prankster prayer praying preacher preaching preachy preamble precinct precise precision
+  precook precut predator predefine predict preface prefix preflight preformed pregame pregnancy
+  pregnant preheated prelaunch prelaw prelude premiere premises premium prenatal preoccupy
+  preorder prepaid prepay preplan preppy preschool prescribe preseason preset preshow president
+  presoak press presume presuming preteen pretended pretender pretense pretext pretty pretzel
+  prevail prevalent prevent preview previous prewar prewashed prideful pried primal primarily
+  primary primate primer primp princess print prior prism prison prissy pristine privacy private
+  privatize prize proactive probable probably probation probe probing probiotic problem procedure
+  process proclaim procreate procurer prodigal prodigy produce product profane profanity professed
+  professor profile profound profusely progeny prognosis program progress projector prologue
+  prolonged promenade prominent promoter promotion prompter promptly prone prong pronounce pronto
+  proofing proofread proofs propeller properly property proponent proposal propose props prorate
+  protector protegee proton prototype protozoan protract protrude proud provable proved proven
+  provided provider providing province proving provoke provoking provolone prowess prowler
+  prowling proximity proxy prozac prude prudishly prune pruning pry psychic public publisher
+  pucker pueblo pug pull pulmonary pulp pulsate pulse pulverize puma pumice pummel punch punctual
+  punctuate punctured pungent punisher punk pupil puppet puppy purchase pureblood purebred purely
+  pureness purgatory purge purging purifier purify purist puritan purity purple purplish purposely
+  purr purse pursuable pursuant pursuit purveyor pushcart pushchair pusher pushiness pushing
+  pushover pushpin pushup pushy putdown putt puzzle puzzling pyramid pyromania python quack
+  quadrant quail quaintly quake quaking qualified qualifier qualify quality qualm quantum quarrel
+  quarry quartered quarterly quarters quartet quench query quicken quickly quickness quicksand
+  quickstep quiet quill quilt quintet quintuple quirk quit quiver quizzical quotable quotation
+  quote rabid race racing racism rack racoon radar radial radiance radiantly radiated radiation
+  radiator radio radish raffle raft rage ragged raging ragweed raider railcar railing railroad
+  railway raisin rake raking rally ramble rambling ramp ramrod ranch rancidity random ranged
+  ranger ranging ranked ranking ransack ranting rants rare rarity rascal rash rasping ravage raven
+  ravine raving ravioli ravishing reabsorb reach reacquire reaction reactive reactor reaffirm ream
+  reanalyze reappear reapply reappoint reapprove rearrange rearview reason reassign reassure
+  reattach reawake rebalance rebate rebel rebirth reboot reborn rebound rebuff rebuild rebuilt
+  reburial rebuttal recall recant recapture recast recede recent recess recharger recipient
+  recital recite reckless reclaim recliner reclining recluse reclusive recognize recoil recollect
+  recolor reconcile reconfirm reconvene recopy record recount recoup recovery recreate rectal
+  rectangle rectified rectify recycled recycler recycling reemerge reenact reenter reentry
+  reexamine referable referee reference refill refinance refined refinery refining refinish
+  reflected reflector reflex reflux refocus refold reforest reformat reformed reformer reformist
+  refract refrain refreeze refresh refried refueling refund refurbish refurnish refusal refuse
+  refusing refutable refute regain regalia regally reggae regime region register registrar
+  registry regress regretful regroup regular regulate regulator rehab reheat rehire rehydrate
+  reimburse reissue reiterate rejoice rejoicing rejoin rekindle relapse relapsing relatable
+  related relation relative relax relay relearn release relenting reliable reliably reliance
+  reliant relic relieve relieving relight relish relive reload relocate relock reluctant rely
+  remake remark remarry rematch remedial remedy remember reminder remindful remission remix
+  remnant remodeler remold remorse remote removable removal removed remover removing rename
+  renderer rendering rendition renegade renewable renewably renewal renewed renounce renovate
+  renovator rentable rental rented renter reoccupy reoccur reopen reorder repackage repacking
+  repaint repair repave repaying repayment repeal repeated repeater repent rephrase replace replay
+  replica reply reporter repose repossess repost repressed reprimand reprint reprise reproach
+  reprocess reproduce reprogram reps reptile reptilian repugnant repulsion repulsive repurpose
+  reputable reputably request require requisite reroute rerun resale resample rescuer reseal
+  research reselect reseller resemble resend resent reset reshape reshoot reshuffle residence
+  residency resident residual residue resigned resilient resistant resisting resize resolute
+  resolved resonant resonate resort resource respect resubmit result resume resupply resurface
+  resurrect retail retainer retaining retake retaliate retention rethink retinal retired retiree
+  retiring retold retool retorted retouch retrace retract retrain retread retreat retrial
+  retrieval retriever retry return retying retype reunion reunite reusable reuse reveal reveler
+  revenge revenue reverb revered reverence reverend reversal reverse reversing reversion revert
+  revisable revise revision revisit revivable revival reviver reviving revocable revoke revolt
+  revolver revolving reward rewash rewind rewire reword rework rewrap rewrite rhyme ribbon ribcage
+  rice riches richly richness rickety ricotta riddance ridden ride riding rifling rift rigging
+  rigid rigor rimless rimmed rind rink rinse rinsing riot ripcord ripeness ripening ripping ripple
+  rippling riptide rise rising risk risotto ritalin ritzy rival riverbank riverbed riverboat
+  riverside riveter riveting roamer roaming roast robbing robe robin robotics robust rockband
+  rocker rocket rockfish rockiness rocking rocklike rockslide rockstar rocky rogue roman romp rope
+  roping roster rosy rotten rotting rotunda roulette rounding roundish roundness roundup roundworm
+  routine routing rover roving royal rubbed rubber rubbing rubble rubdown ruby ruckus rudder rug
+  ruined rule rumble rumbling rummage rumor runaround rundown runner running runny runt runway
+  rupture rural ruse rush rust rut sabbath sabotage sacrament sacred sacrifice sadden saddlebag
+  saddled saddling sadly sadness safari safeguard safehouse safely safeness saffron saga sage
+  sagging saggy said saint sake salad salami salaried salary saline salon saloon salsa salt
+  salutary salute salvage salvaging salvation same sample sampling sanction sanctity sanctuary
+  sandal sandbag sandbank sandbar sandblast sandbox sanded sandfish sanding sandlot sandpaper
+  sandpit sandstone sandstorm sandworm sandy sanitary sanitizer sank santa sapling sappiness sappy
+  sarcasm sarcastic sardine sash sasquatch sassy satchel satiable satin satirical satisfied
+  satisfy saturate saturday sauciness saucy sauna savage savanna saved savings savior savor
+  saxophone say scabbed scabby scalded scalding scale scaling scallion scallop scalping scam
+  scandal scanner scanning scant scapegoat scarce scarcity scarecrow scared scarf scarily
+  scariness scarring scary scavenger scenic schedule schematic scheme scheming schilling schnapps
+  scholar science scientist scion scoff scolding scone scoop scooter scope scorch scorebook
+  scorecard scored scoreless scorer scoring scorn scorpion scotch scoundrel scoured scouring
+  scouting scouts scowling scrabble scraggly scrambled scrambler scrap scratch scrawny screen
+  scribble scribe scribing scrimmage script scroll scrooge scrounger scrubbed scrubber scruffy
+  scrunch scrutiny scuba scuff sculptor sculpture scurvy scuttle secluded secluding seclusion
+  second secrecy secret sectional sector secular securely security sedan sedate sedation sedative
+  sediment seduce seducing segment seismic seizing seldom selected selection selective selector
+  self seltzer semantic semester semicolon semifinal seminar semisoft semisweet senate senator
+  send senior senorita sensation sensitive sensitize sensually sensuous sepia september septic
+  septum sequel sequence sequester series sermon serotonin serpent serrated serve service serving
+  sesame sessions setback setting settle settling setup sevenfold seventeen seventh seventy
+  severity shabby shack shaded shadily shadiness shading shadow shady shaft shakable shakily
+  shakiness shaking shaky shale shallot shallow shame shampoo shamrock shank shanty shape shaping
+  share sharpener sharper sharpie sharply sharpness shawl sheath shed sheep sheet shelf shell
+  shelter shelve shelving sherry shield shifter shifting shiftless shifty shimmer shimmy shindig
+  shine shingle shininess shining shiny ship shirt shivering shock shone shoplift shopper shopping
+  shoptalk shore shortage shortcake shortcut shorten shorter shorthand shortlist shortly shortness
+  shorts shortwave shorty shout shove showbiz showcase showdown shower showgirl showing showman
+  shown showoff showpiece showplace showroom showy shrank shrapnel shredder shredding shrewdly
+  shriek shrill shrimp shrine shrink shrivel shrouded shrubbery shrubs shrug shrunk shucking
+  shudder shuffle shuffling shun shush shut shy siamese siberian sibling siding sierra siesta sift
+  sighing silenced silencer silent silica silicon silk silliness silly silo silt silver similarly
+  simile simmering simple simplify simply sincere sincerity singer singing single singular
+  sinister sinless sinner sinuous sip siren sister sitcom sitter sitting situated situation
+  sixfold sixteen sixth sixties sixtieth sixtyfold sizable sizably size sizing sizzle sizzling
+  skater skating skedaddle skeletal skeleton skeptic sketch skewed skewer skid skied skier skies
+  skiing skilled skillet skillful skimmed skimmer skimming skimpily skincare skinhead skinless
+  skinning skinny skintight skipper skipping skirmish skirt skittle skydiver skylight skyline
+  skype skyrocket skyward slab slacked slacker slacking slackness slacks slain slam slander slang
+  slapping slapstick slashed slashing slate slather slaw sled sleek sleep sleet sleeve slept
+  sliceable sliced slicer slicing slick slider slideshow sliding slighted slighting slightly
+  slimness slimy slinging slingshot slinky slip slit sliver slobbery slogan sloped sloping
+  sloppily sloppy slot slouching slouchy sludge slug slum slurp slush sly small smartly smartness
+  smasher smashing smashup smell smelting smile smilingly smirk smite smith smitten smock smog
+  smoked smokeless smokiness smoking smoky smolder smooth smother smudge smudgy smuggler smuggling
+  smugly smugness snack snagged snaking snap snare snarl snazzy sneak sneer sneeze sneezing snide
+  sniff snippet snipping snitch snooper snooze snore snoring snorkel snort snout snowbird
+  snowboard snowbound snowcap snowdrift snowdrop snowfall snowfield snowflake snowiness snowless
+  snowman snowplow snowshoe snowstorm snowsuit snowy snub snuff snuggle snugly snugness speak
+  spearfish spearhead spearman spearmint species specimen specked speckled specks spectacle
+  spectator spectrum speculate speech speed spellbind speller spelling spendable spender spending
+  spent spew sphere spherical sphinx spider spied spiffy spill spilt spinach spinal spindle
+  spinner spinning spinout spinster spiny spiral spirited spiritism spirits spiritual splashed
+  splashing splashy splatter spleen splendid splendor splice splicing splinter splotchy splurge
+  spoilage spoiled spoiler spoiling spoils spoken spokesman sponge spongy sponsor spoof spookily
+  spooky spool spoon spore sporting sports sporty spotless spotlight spotted spotter spotting
+  spotty spousal spouse spout sprain sprang sprawl spray spree sprig spring sprinkled sprinkler
+  sprint sprite sprout spruce sprung spry spud spur sputter spyglass squabble squad squall
+  squander squash squatted squatter squatting squeak squealer squealing squeamish squeegee squeeze
+  squeezing squid squiggle squiggly squint squire squirt squishier squishy stability stabilize
+  stable stack stadium staff stage staging stagnant stagnate stainable stained staining stainless
+  stalemate staleness stalling stallion stamina stammer stamp stand stank staple stapling
+  starboard starch stardom stardust starfish stargazer staring stark starless starlet starlight
+  starlit starring starry starship starter starting startle startling startup starved starving
+  stash state static statistic statue stature status statute statutory staunch stays steadfast
+  steadier steadily steadying steam steed steep steerable steering steersman stegosaur stellar
+  stem stench stencil step stereo sterile sterility sterilize sterling sternness sternum stew
+  stick stiffen stiffly stiffness stifle stifling stillness stilt stimulant stimulate stimuli
+  stimulus stinger stingily stinging stingray stingy stinking stinky stipend stipulate stir stitch
+  stock stoic stoke stole stomp stonewall stoneware stonework stoning stony stood stooge stool
+  stoop stoplight stoppable stoppage stopped stopper stopping stopwatch storable storage storeroom
+  storewide storm stout stove stowaway stowing straddle straggler strained strainer straining
+  strangely stranger strangle strategic strategy stratus straw stray streak stream street strength
+  strenuous strep stress stretch strewn stricken strict stride strife strike striking strive
+  striving strobe strode stroller strongbox strongly strongman struck structure strudel struggle
+  strum strung strut stubbed stubble stubbly stubborn stucco stuck student studied studio study
+  stuffed stuffing stuffy stumble stumbling stump stung stunned stunner stunning stunt stupor
+  sturdily sturdy styling stylishly stylist stylized stylus suave subarctic subatomic subdivide
+  subdued subduing subfloor subgroup subheader subject sublease sublet sublevel sublime submarine
+  submerge submersed submitter subpanel subpar subplot subprime subscribe subscript subsector
+  subside subsiding subsidize subsidy subsoil subsonic substance subsystem subtext subtitle subtly
+  subtotal subtract subtype suburb subway subwoofer subzero succulent such suction sudden sudoku
+  suds sufferer suffering suffice suffix suffocate suffrage sugar suggest suing suitable suitably
+  suitcase suitor sulfate sulfide sulfite sulfur sulk sullen sulphate sulphuric sultry superbowl
+  superglue superhero superior superjet superman supermom supernova supervise supper supplier
+  supply support supremacy supreme surcharge surely sureness surface surfacing surfboard surfer
+  surgery surgical surging surname surpass surplus surprise surreal surrender surrogate surround
+  survey survival survive surviving survivor sushi suspect suspend suspense sustained sustainer
+  swab swaddling swagger swampland swan swapping swarm sway swear sweat sweep swell swept swerve
+  swifter swiftly swiftness swimmable swimmer swimming swimsuit swimwear swinger swinging swipe
+  swirl switch swivel swizzle swooned swoop swoosh swore sworn swung sycamore sympathy symphonic
+  symphony symptom synapse syndrome synergy synopses synopsis synthesis synthetic syrup system
+  t-shirt tabasco tabby tableful tables tablet tableware tabloid tackiness tacking tackle tackling
+  tacky taco tactful tactical tactics tactile tactless tadpole taekwondo tag tainted take taking
+  talcum talisman tall talon tamale tameness tamer tamper tank tanned tannery tanning tantrum
+  tapeless tapered tapering tapestry tapioca tapping taps tarantula target tarmac tarnish tarot
+  tartar tartly tartness task tassel taste tastiness tasting tasty tattered tattle tattling tattoo
+  taunt tavern thank that thaw theater theatrics thee theft theme theology theorize thermal
+  thermos thesaurus these thesis thespian thicken thicket thickness thieving thievish thigh
+  thimble thing think thinly thinner thinness thinning thirstily thirsting thirsty thirteen thirty
+  thong thorn those thousand thrash thread threaten threefold thrift thrill thrive thriving throat
+  throbbing throng throttle throwaway throwback thrower throwing thud thumb thumping thursday thus
+  thwarting thyself tiara tibia tidal tidbit tidiness tidings tidy tiger tighten tightly tightness
+  tightrope tightwad tigress tile tiling till tilt timid timing timothy tinderbox tinfoil tingle
+  tingling tingly tinker tinkling tinsel tinsmith tint tinwork tiny tipoff tipped tipper tipping
+  tiptoeing tiptop tiring tissue trace tracing track traction tractor trade trading tradition
+  traffic tragedy trailing trailside train traitor trance tranquil transfer transform translate
+  transpire transport transpose trapdoor trapeze trapezoid trapped trapper trapping traps trash
+  travel traverse travesty tray treachery treading treadmill treason treat treble tree trekker
+  tremble trembling tremor trench trend trespass triage trial triangle tribesman tribunal tribune
+  tributary tribute triceps trickery trickily tricking trickle trickster tricky tricolor tricycle
+  trident tried trifle trifocals trillion trilogy trimester trimmer trimming trimness trinity trio
+  tripod tripping triumph trivial trodden trolling trombone trophy tropical tropics trouble
+  troubling trough trousers trout trowel truce truck truffle trump trunks trustable trustee
+  trustful trusting trustless truth try tubby tubeless tubular tucking tuesday tug tuition tulip
+  tumble tumbling tummy turban turbine turbofan turbojet turbulent turf turkey turmoil turret
+  turtle tusk tutor tutu tux tweak tweed tweet tweezers twelve twentieth twenty twerp twice
+  twiddle twiddling twig twilight twine twins twirl twistable twisted twister twisting twisty
+  twitch twitter tycoon tying tyke udder ultimate ultimatum ultra umbilical umbrella umpire
+  unabashed unable unadorned unadvised unafraid unaired unaligned unaltered unarmored unashamed
+  unaudited unawake unaware unbaked unbalance unbeaten unbend unbent unbiased unbitten unblended
+  unblessed unblock unbolted unbounded unboxed unbraided unbridle unbroken unbuckled unbundle
+  unburned unbutton uncanny uncapped uncaring uncertain unchain unchanged uncharted uncheck
+  uncivil unclad unclaimed unclamped unclasp uncle unclip uncloak unclog unclothed uncoated
+  uncoiled uncolored uncombed uncommon uncooked uncork uncorrupt uncounted uncouple uncouth
+  uncover uncross uncrown uncrushed uncured uncurious uncurled uncut undamaged undated undaunted
+  undead undecided undefined underage underarm undercoat undercook undercut underdog underdone
+  underfed underfeed underfoot undergo undergrad underhand underline underling undermine undermost
+  underpaid underpass underpay underrate undertake undertone undertook undertow underuse underwear
+  underwent underwire undesired undiluted undivided undocked undoing undone undrafted undress
+  undrilled undusted undying unearned unearth unease uneasily uneasy uneatable uneaten unedited
+  unelected unending unengaged unenvied unequal unethical uneven unexpired unexposed unfailing
+  unfair unfasten unfazed unfeeling unfiled unfilled unfitted unfitting unfixable unfixed unflawed
+  unfocused unfold unfounded unframed unfreeze unfrosted unfrozen unfunded unglazed ungloved
+  unglue ungodly ungraded ungreased unguarded unguided unhappily unhappy unharmed unhealthy
+  unheard unhearing unheated unhelpful unhidden unhinge unhitched unholy unhook unicorn unicycle
+  unified unifier uniformed uniformly unify unimpeded uninjured uninstall uninsured uninvited
+  union uniquely unisexual unison unissued unit universal universe unjustly unkempt unkind
+  unknotted unknowing unknown unlaced unlatch unlawful unleaded unlearned unleash unless unleveled
+  unlighted unlikable unlimited unlined unlinked unlisted unlit unlivable unloaded unloader
+  unlocked unlocking unlovable unloved unlovely unloving unluckily unlucky unmade unmanaged
+  unmanned unmapped unmarked unmasked unmasking unmatched unmindful unmixable unmixed unmolded
+  unmoral unmovable unmoved unmoving unnamable unnamed unnatural unneeded unnerve unnerving
+  unnoticed unopened unopposed unpack unpadded unpaid unpainted unpaired unpaved unpeeled unpicked
+  unpiloted unpinned unplanned unplanted unpleased unpledged unplowed unplug unpopular unproven
+  unquote unranked unrated unraveled unreached unread unreal unreeling unrefined unrelated
+  unrented unrest unretired unrevised unrigged unripe unrivaled unroasted unrobed unroll unruffled
+  unruly unrushed unsaddle unsafe unsaid unsalted unsaved unsavory unscathed unscented unscrew
+  unsealed unseated unsecured unseeing unseemly unseen unselect unselfish unsent unsettled
+  unshackle unshaken unshaved unshaven unsheathe unshipped unsightly unsigned unskilled unsliced
+  unsmooth unsnap unsocial unsoiled unsold unsolved unsorted unspoiled unspoken unstable unstaffed
+  unstamped unsteady unsterile unstirred unstitch unstopped unstuck unstuffed unstylish unsubtle
+  unsubtly unsuited unsure unsworn untagged untainted untaken untamed untangled untapped untaxed
+  unthawed unthread untidy untie until untimed untimely untitled untoasted untold untouched
+  untracked untrained untreated untried untrimmed untrue untruth unturned untwist untying unusable
+  unused unusual unvalued unvaried unvarying unveiled unveiling unvented unviable unvisited
+  unvocal unwanted unwarlike unwary unwashed unwatched unweave unwed unwelcome unwell unwieldy
+  unwilling unwind unwired unwitting unwomanly unworldly unworn unworried unworthy unwound unwoven
+  unwrapped unwritten unzip upbeat upchuck upcoming upcountry update upfront upgrade upheaval
+  upheld uphill uphold uplifted uplifting upload upon upper upright uprising upriver uproar uproot
+  upscale upside upstage upstairs upstart upstate upstream upstroke upswing uptake uptight uptown
+  upturned upward upwind uranium urban urchin urethane urgency urgent urging urologist urology
+  usable usage useable used uselessly user usher usual utensil utility utilize utmost utopia utter
+  vacancy vacant vacate vacation vagabond vagrancy vagrantly vaguely vagueness valiant valid
+  valium valley valuables value vanilla vanish vanity vanquish vantage vaporizer variable variably
+  varied variety various varmint varnish varsity varying vascular vaseline vastly vastness veal
+  vegan veggie vehicular velcro velocity velvet vendetta vending vendor veneering vengeful
+  venomous ventricle venture venue venus verbalize verbally verbose verdict verify verse version
+  versus vertebrae vertical vertigo very vessel vest veteran veto vexingly viability viable vibes
+  vice vicinity victory video viewable viewer viewing viewless viewpoint vigorous village villain
+  vindicate vineyard vintage violate violation violator violet violin viper viral virtual virtuous
+  virus visa viscosity viscous viselike visible visibly vision visiting visitor visor vista
+  vitality vitalize vitally vitamins vivacious vividly vividness vixen vocalist vocalize vocally
+  vocation voice voicing void volatile volley voltage volumes voter voting voucher vowed vowel
+  voyage wackiness wad wafer waffle waged wager wages waggle wagon wake waking walk walmart walnut
+  walrus waltz wand wannabe wanted wanting wasabi washable washbasin washboard washbowl washcloth
+  washday washed washer washhouse washing washout washroom washstand washtub wasp wasting watch
+  water waviness waving wavy whacking whacky wham wharf wheat whenever whiff whimsical whinny
+  whiny whisking whoever whole whomever whoopee whooping whoops why wick widely widen widget widow
+  width wieldable wielder wife wifi wikipedia wildcard wildcat wilder wildfire wildfowl wildland
+  wildlife wildly wildness willed willfully willing willow willpower wilt wimp wince wincing wind
+  wing winking winner winnings winter wipe wired wireless wiring wiry wisdom wise wish wisplike
+  wispy wistful wizard wobble wobbling wobbly wok wolf wolverine womanhood womankind womanless
+  womanlike womanly womb woof wooing wool woozy word work worried worrier worrisome worry
+  worsening worshiper worst wound woven wow wrangle wrath wreath wreckage wrecker wrecking wrench
+  wriggle wriggly wrinkle wrinkly wrist writing written wrongdoer wronged wrongful wrongly
+  wrongness wrought xbox xerox yahoo yam yanking yapping yard yarn yeah yearbook yearling yearly
+  yearning yeast yelling yelp yen yesterday yiddish yield yin yippee yo-yo yodel yoga yogurt
+  yonder yoyo yummy zap zealous zebra zen zeppelin zero zestfully zesty zigzagged zipfile zipping
+  zippy zips zit zodiac zombie zone zoning zookeeper zoologist zoology zoom
+`.trim().split(/\s+/);
+
+// Valid BIP39 phrase lengths (words) and the matching entropy sizes (bytes)
+const MNEMONIC_LENGTHS = { 12: 16, 15: 20, 18: 24, 21: 28, 24: 32 };
+
+// Word → index lookups, built on first use of each wordlist
+const WORD_INDEX_CACHE = new WeakMap();
+
+ntrpRNG.SeedStream = ntrpSeedStream;
+ntrpRNG.EntropyTimeoutError = EntropyTimeoutError;
+ntrpRNG.EntropyHealthError = EntropyHealthError;
+ntrpRNG.SelfTestError = SelfTestError;
+
+// Standalone encoders: ntrpRNG.codecs.<name>.encode(bytes) / .decode(string)
+ntrpRNG.codecs = CODECS;
+
+// Wordlists by name: BIP39 mnemonic languages (2048 words) and passphrase lists
+ntrpRNG.wordlists = { english: BIP39_ENGLISH, effLarge: EFF_LARGE_WORDLIST };
 
 // Export for ES modules
 if (typeof module !== 'undefined' && module.exports) {
@@ -16,10 +16,11 @@
  * Purpose: Baseline comparison tool to demonstrate performance difference
  * between hardware RNG and ntrpRNG's behavioral entropy collection.
  * 
- * @version 1.1.0
+ * @version 1.1.1
  * @license MIT
  * 
  * CHANGELOG:
+ * v1.1.1 - toBase64() encodes in chunks (spreading large buffers overflowed the stack)
  * v1.1.0 - Added getProgress() method for API compatibility with ntrpRNG 1.3.0
  *        - Maintains simple crypto.getRandomValues() wrapper design
  * v1.0.0 - Initial release
@@ -133,7 +134,11 @@ class cgRNDV {
    * @returns {string} Base64 string
    */
   toBase64(bytes) {
-    return btoa(String.fromCharCode(...bytes));
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
   }
   
   /**
@@ -8,11 +8,13 @@ let rng; // The ntrpRNG instance
 let perfData = []; // Stores performance data for the chart
 let seedHistory = []; // Stores a history of generated seeds
 let eventLog = []; // Stores log messages for the UI
-let statsInterval = null; // Interval ID for updating stats
+let statsInterval = null; // Interval ID for the slow stats refresh
 let autoGenInterval = null; // Interval ID for auto-generation
 let isStressTestRunning = false; // Flag to control the cancellable stress test
 let isGenerating = false; // Global lock for seed generation
+let generationController = null; // AbortController of the generation in progress
 let statsUpdateScheduled = false; // Debouncing flag for stats updates
+let lastTimerMessage = null; // Timer notice last reported by checkTimerResolution
 
 // Memory management constants
 const MAX_LOG_ENTRIES = 100;
@@ -22,6 +24,10 @@ const MAX_PERF_DATA_POINTS = 50;
 // Generation timeout constant (30 seconds)
 const GENERATION_TIMEOUT = 30000;
 
+// Timer deltas arrive without a 'progress' event, so stats are also
+// refreshed at this slow rate while collecting
+const STATS_REFRESH_INTERVAL = 1000;
+
 // ============================================================================
 // INITIALIZATION
 // ============================================================================
@@ -33,6 +39,7 @@ function init() {
   updateConfig();
   addLog('info', 'Dashboard initialized - ntrpRNG v1.3.0 with weighted event counting');
   addLog('info', 'Required: 500 weighted events (keyboard×3, mouse down/touch×2, move/scroll×1)');
+  checkTimerResolution();
   
   // Core control buttons
   document.getElementById('generateBtn').addEventListener('click', generateSeed);
@@ -42,7 +49,6 @@ function init() {
     if (rng) {
       rng.clearEntropy();
       addLog('info', 'Entropy cleared');
-      updateStats();
     }
   });
 
@@ -53,6 +59,7 @@ function init() {
   ['iterSlider', 'saltSlider'].forEach(id => {
     document.getElementById(id).addEventListener('input', updateConfig);
   });
+  document.getElementById('pipelineSelect').addEventListener('change', updateConfig);
 
   // Auto-gen interval validation
   const autoGenInput = document.getElementById('autoGenInterval');
@@ -116,6 +123,43 @@ function init() {
   updatePerfChart();
 }
 
+/**
+ * Warns when the browser clamps or freezes performance.now(), which reduces
+ * the entropy credited to event timing. Called on every stats refresh; it
+ * reports again only when the timer state changes, e.g. once collection has
+ * measured a clock too coarse to tick during calibration.
+ * @param {Object} [timer] - getStats().timer
+ */
+function checkTimerResolution(timer = rng.getStats().timer) {
+  let level = 'warning';
+  let message;
+  if (timer.timingCredit === 'full') {
+    level = 'info';
+    message = 'Timer resolution is fine-grained: full timing jitter credit';
+  } else if (timer.resolution === null) {
+    message = 'High-resolution timer did not tick during calibration: timing jitter earns no entropy credit';
+  } else {
+    const resolution = timer.resolution >= 1
+      ? `${timer.resolution.toFixed(1)}ms`
+      : `${Math.round(timer.resolution * 1000)}µs`;
+    message = `Timer resolution clamped to ${resolution}: timing jitter credit reduced` +
+      (timer.crossOriginIsolated === false ? ' (page is not cross-origin isolated)' : '');
+  }
+
+  // Refinements that do not change the message are not reported again
+  if (message === lastTimerMessage) return;
+  const first = lastTimerMessage === null;
+  lastTimerMessage = message;
+
+  // A fine timer needs no notice unless it replaces an earlier warning
+  if (level === 'info') {
+    if (!first) addLog('info', message);
+    return;
+  }
+  addLog('warning', message);
+  showToast(message, 'warning');
+}
+
 // ============================================================================
 // COLLECTION MANAGEMENT
 // ============================================================================
@@ -140,9 +184,9 @@ function startCollection() {
     btn.disabled = true;
   });
   
-  // Start stats update interval
+  // Keep the timer stats current while the user is idle
   if (!statsInterval) {
-    statsInterval = setInterval(updateStats, 250);
+    statsInterval = setInterval(updateStats, STATS_REFRESH_INTERVAL);
   }
   
   addLog('success', 'Collection started - gathering weighted entropy');
@@ -191,16 +235,24 @@ function stopCollection() {
 function updateConfig() {
   const iterations = parseInt(document.getElementById('iterSlider').value);
   const saltSize = parseInt(document.getElementById('saltSlider').value);
+  const pipeline = document.getElementById('pipelineSelect').value;
 
   document.getElementById('iterValue').textContent = iterations;
   document.getElementById('saltValue').textContent = saltSize;
 
-  const estimatedTime = Math.round(iterations / 50);
+  // v2 runs PBKDF2 natively, roughly 30x faster than the v1 hash loops
+  const estimatedTime = Math.max(1, Math.round(iterations / (pipeline === 'v2' ? 1500 : 50)));
   document.getElementById('estimatedTime').textContent = `~${estimatedTime}ms`;
 
   if (rng) rng.stopCollecting();
   // minEvents is hardcoded to 500 in ntrpRNG v1.3.0, no need to pass it
-  rng = new ntrpRNG({ iterations, saltSize, autoCollect: false });
+  rng = new ntrpRNG({ iterations, saltSize, pipeline, autoCollect: false });
+  
+  // Stats are refreshed from lifecycle events, plus the slow refresh for timer stats
+  ['progress', 'collection-start', 'collection-stop', 'seed-generated', 'entropy-cleared']
+    .forEach(type => rng.on(type, updateStats));
+  rng.on('ready', () => addLog('success', 'Minimum entropy reached - ready to generate'));
+  updateStats();
 }
 
 // ============================================================================
@@ -229,6 +281,7 @@ function updateStats() {
     document.getElementById('statTotal').textContent = progress.currentEvents;
     document.getElementById('statPool').textContent = stats.entropyPoolSize;
     document.getElementById('statTimer').textContent = stats.timerDeltasSize;
+    checkTimerResolution(stats.timer);
 
     // Update progress bar using getProgress() API
     const progressBarFill = document.getElementById('progressBar');
@@ -263,6 +316,8 @@ function updateStats() {
 
 /**
  * Generates a new seed with timeout protection and comprehensive error handling.
+ * The timeout aborts the generation, so hashing stops instead of running on
+ * in the background.
  */
 async function generateSeed() {
   // Prevent concurrent generation
@@ -278,22 +333,26 @@ async function generateSeed() {
     const startTime = performance.now();
     addLog('info', 'Generating seed...');
 
-    // Create timeout promise
-    const timeoutPromise = new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Generation timeout after 30s')), GENERATION_TIMEOUT)
+    // Abort the generation if it exceeds the timeout
+    generationController = new AbortController();
+    const timeoutId = setTimeout(
+      () => generationController.abort(new Error('Generation timeout after 30s')),
+      GENERATION_TIMEOUT
     );
     
-    // Create generation promise
-    const seedPromise = Promise.all([
-      rng.generateSeedHex(),
-      rng.generateSeedBase64()
-    ]);
-    
-    // Race between generation and timeout
-    const [seedHex, seedBase64] = await Promise.race([
-      seedPromise,
-      timeoutPromise
-    ]);
+    // One seed: each generation consumes the pool
+    let seed;
+    try {
+      seed = await rng.generateSeed({
+        signal: generationController.signal,
+        onProgress: updateGenerationProgress
+      });
+    } finally {
+      clearTimeout(timeoutId);
+      generationController = null;
+    }
+    const seedHex = rng.toHex(seed);
+    const seedBase64 = rng.toBase64(seed);
 
     const duration = performance.now() - startTime;
 
@@ -340,6 +399,10 @@ async function generateSeed() {
     showToast(`✓ Seed generated in ${duration.toFixed(2)}ms`, 'success');
 
   } catch (error) {
+    if (error.name === 'AbortError') {
+      addLog('warning', 'Generation cancelled');
+      return;
+    }
     console.error('Generation error:', error);
     const errorMsg = `Generation failed: ${error.message}`;
     addLog('error', errorMsg);
@@ -350,6 +413,16 @@ async function generateSeed() {
   }
 }
 
+/**
+ * Shows the current pipeline stage on the generate button.
+ * @param {Object} progress - { stage, iteration, iterations } from generateSeed()
+ */
+function updateGenerationProgress({ stage, iteration, iterations }) {
+  const percent = Math.floor((iteration / iterations) * 100);
+  document.getElementById('generateBtn').innerHTML =
+    `Generating... ${stage} ${percent}% <span class="spinner"></span>`;
+}
+
 // ============================================================================
 // PERFORMANCE CHART (OPTIMIZED RENDERING)
 // ============================================================================
@@ -669,6 +742,7 @@ async function stressTest() {
   // Cancel if already running
   if (isStressTestRunning) {
     isStressTestRunning = false;
+    if (generationController) generationController.abort();
     addLog('warning', 'Stress test cancellation requested...');
     showToast('Stress test cancelled', 'warning');
     stressTestBtn.textContent = 'Stress Test';
@@ -696,6 +770,19 @@ async function stressTest() {
     
     await new Promise(resolve => setTimeout(resolve, 500));
     
+    // Each seed consumes the pool: wait up to 30s for fresh entropy
+    const waitStart = performance.now();
+    if (!rng.getProgress().ready) {
+      addLog('info', `Stress test ${i}/10: waiting for fresh entropy (keep interacting)`);
+    }
+    while (isStressTestRunning && !rng.getProgress().ready &&
+           performance.now() - waitStart < GENERATION_TIMEOUT) {
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    if (!isStressTestRunning) {
+      continue;
+    }
+    
     const progress = rng.getProgress();
     if (!progress.ready) {
       addLog('error', `Stress test stopped at ${i}/10: insufficient weighted entropy (${progress.currentEvents}/500)`);